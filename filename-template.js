@@ -0,0 +1,107 @@
+/**
+ * Filename templates - shared by all tools
+ *
+ * A template is the filename without extension, with tokens in braces:
+ *   {title}-{instrument}         → Better-Solo-Cornet.pdf
+ *   {order}-{instrument}-{date}  → 02-Solo-Cornet-2026-10-19.pdf
+ * Tokens: {title}, {instrument}, {order}, {key}, {date} and {source}. A tool fills
+ * the ones it knows, the others (and unknown tokens) are left out with their separator.
+ * Text between the tokens is kept as typed, with spaces as hyphens: "{order} {instrument}" → 02-Solo-Cornet.pdf
+ */
+
+export const FILENAME_TOKENS = ['title', 'instrument', 'order', 'key', 'date', 'source'];
+
+// German transliteration for umlauts, other accents are dropped
+const TRANSLITERATIONS = {
+  'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue', 'ß': 'ss',
+  'œ': 'oe', 'Œ': 'Oe', 'æ': 'ae', 'Æ': 'Ae',
+  '♭': 'b', '♯': '#'
+};
+
+/**
+ * Write text in plain ASCII: "Flügelhorn" → "Fluegelhorn", "E♭ Bass" → "Eb Bass", "Ténor" → "Tenor"
+ */
+export function transliterate(text) {
+  return text
+    .replace(/[äöüÄÖÜßœŒæÆ♭♯]/g, char => TRANSLITERATIONS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Make a token value safe for a filename: ASCII, spaces as hyphens, no punctuation
+ */
+function sanitize(text) {
+  return transliterate(String(text))
+    .replace(/[^\w\s#-]/g, '') // Remove special chars except spaces, hyphens and sharps
+    .trim()
+    .replace(/\s+/g, '-');     // Replace spaces with hyphens
+}
+
+/**
+ * Make the text the user typed between tokens safe for a filename, keeping its
+ * separators: "{title} - {instrument} ({key})" stays "Better-1st-Trombone-(Bb)"
+ */
+function sanitizeLiteral(text) {
+  return transliterate(text)
+    .replace(/[/\\:|]/g, '-')         // Path and drive separators are not allowed in filenames
+    .replace(/[^\w\s#.,()[\]-]/g, '') // Nor are * ? " < > and the like
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Today's date as YYYY-MM-DD, for {date}
+ */
+function getToday() {
+  const now = new Date();
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Build a filename from a template
+ * @param {string} template - e.g. "{title}-{instrument}"
+ * @param {Object} values - Token values ({title, instrument, order, key, source}); {date} defaults to today
+ * @param {string} extension - File extension without the dot (default: 'pdf')
+ * @returns {string} e.g. "Better-Solo-Cornet.pdf" ("untitled.pdf" when nothing is left)
+ */
+export function renderFilename(template, values, extension = 'pdf') {
+  const allValues = { date: getToday(), ...values };
+  const name = template
+    .split(/(\{\w+\})/)
+    .map(part => {
+      const token = part.match(/^\{(\w+)\}$/);
+      if (!token) {
+        return sanitizeLiteral(part);
+      }
+      const value = allValues[token[1]];
+      return value === undefined || value === null ? '' : sanitize(value);
+    })
+    .join('')
+    // Separators left dangling by empty tokens: "-()" of an empty ({key}), "." of "{title}.{key}"
+    .replace(/\([-_.,]*\)|\[[-_.,]*\]/g, '')
+    .replace(/[-_.,]{2,}/g, run => (run.includes('-') ? '-' : run[0]))
+    .replace(/^[-_.,]+|[-_.,]+$/g, '');
+
+  return `${name || 'untitled'}.${extension}`;
+}
+
+/**
+ * The filename template of a tool, as last used (or its default)
+ * @param {string} tool - Tool id ('splitter', 'merger', ...)
+ * @param {string} defaultTemplate - Template used until the user changes it
+ */
+export function loadFilenameTemplate(tool, defaultTemplate) {
+  return localStorage.getItem(`partkit-${tool}-filename-template`) || defaultTemplate;
+}
+
+/**
+ * Remember the filename template of a tool (an empty template goes back to the default)
+ */
+export function saveFilenameTemplate(tool, template) {
+  if (template.trim()) {
+    localStorage.setItem(`partkit-${tool}-filename-template`, template.trim());
+  } else {
+    localStorage.removeItem(`partkit-${tool}-filename-template`);
+  }
+}
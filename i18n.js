@@ -24,24 +24,124 @@ const translations = {
     'common.processing': 'Processing...',
     'common.error': 'Error',
     'common.cancel': 'Cancel',
+    'common.template.label': 'Filenames:',
+    'common.template.help': '.pdf – tokens: {title}, {instrument}, {order}, {key}, {date}, {source}',
 
     // Splitter
     'splitter.upload.title': 'Drop your PDF here',
-    'splitter.upload.subtitle': 'Upload a PDF containing multiple instrument parts',
+    'splitter.upload.subtitle': 'Upload a PDF containing multiple instrument parts, or several PDFs or a ZIP to split a whole set',
     'splitter.upload.browse': 'or click to browse',
     'splitter.detected.title': 'Detected Splits',
     'splitter.filename.label': 'Base filename for splits:',
     'splitter.filename.placeholder': 'e.g., Better',
+    'splitter.filename.language': 'Instrument names in:',
+    'splitter.filename.numbered': 'Number files in score order (01-...)',
     'splitter.download.all': 'Download All',
     'splitter.download.zip': 'Download as ZIP',
     'splitter.merge.up': 'Merge Up',
     'splitter.merge.down': 'Merge Down',
     'splitter.split.pages': 'Split Pages',
     'splitter.delete': 'Delete',
+    'splitter.region.set': 'Set detection region',
+    'splitter.region.title': 'Detection region',
+    'splitter.region.help': 'Drag a rectangle around the instrument name. It will be used on every page of this PDF.',
+    'splitter.region.auto': 'Automatic',
+    'splitter.region.apply': 'Apply',
+    'splitter.region.custom': 'Using a custom detection region',
+    'splitter.plan.import': 'Import split plan',
+    'splitter.plan.export': 'Export split plan',
+    'splitter.plan.loaded': 'Split plan loaded, select the matching PDF',
+    'splitter.pages.edit': 'Edit pages',
+    'splitter.sort.score': 'Sort in score order',
+    'splitter.pages.done': 'Close page editor',
+    'splitter.pages.help': 'Drag pages between parts or within a part. Hold Ctrl or Alt while dropping to duplicate.',
+    'splitter.pages.remove': 'Remove page',
+    'splitter.section.button': 'Cut page in two parts',
+    'splitter.section.title': 'Two parts on one page',
+    'splitter.section.help': 'Click where the page should be cut. What comes after the cut line becomes a new part.',
+    'splitter.section.direction': 'Cut:',
+    'splitter.section.horizontal': 'Across (top / bottom)',
+    'splitter.section.vertical': 'Down (left / right)',
+    'splitter.blank.drop': 'Leave out blank pages',
+    'splitter.numbering.continues': 'Printed page number continues the part, boundary removed',
+    'splitter.numbering.mayContinue': 'Printed number may continue the part before (or be a bar number), boundary kept',
+    'splitter.numbering.starts': 'Printed page number says a new part starts',
+    'splitter.numbering.count': 'Number of pages differs from the printed page numbers',
+    'splitter.combined.files': 'One file each for',
+    'splitter.key.placeholder': 'Key / clef',
+    'splitter.key.title': 'Key or clef the part is written in (Bb, Eb, bass clef), also {key} in filenames',
+    'splitter.diagnostics.show': 'Show diagnostics',
+    'splitter.diagnostics.hide': 'Hide diagnostics',
+    'splitter.diagnostics.page': 'Page',
+    'splitter.diagnostics.method.text': 'text layer',
+    'splitter.diagnostics.method.ocr': 'OCR',
+    'splitter.diagnostics.method.outline': 'PDF bookmarks',
+    'splitter.diagnostics.method.label': 'PDF page labels',
+    'splitter.diagnostics.method.blank': 'blank page',
+    'splitter.diagnostics.method.visual': 'header change',
+    'splitter.diagnostics.region': 'Region read',
+    'splitter.diagnostics.read': 'Text read',
+    'splitter.diagnostics.match': 'Catalog match',
+    'splitter.diagnostics.none': 'none',
+    'splitter.diagnostics.cut': 'Second part on the page',
+    'splitter.diagnostics.candidates': 'Header candidates (score · font@size)',
+    'splitter.diagnostics.noData': 'No diagnostics: this part was not detected (split plan or page ranges)',
+    'splitter.parts.title': 'Parts check',
+    'splitter.parts.complete': 'All expected parts found',
+    'splitter.parts.none': 'Parts check: list the expected parts of this ensemble',
+    'splitter.parts.missing': 'Missing',
+    'splitter.parts.duplicate': 'Duplicate',
+    'splitter.parts.unexpected': 'Unexpected',
+    'splitter.parts.found': 'Found',
+    'splitter.parts.players': 'players',
+    'splitter.parts.expected': 'Expected parts (one per line, "4x Solo Cornet" for several players, alternative names with "|"):',
+    'splitter.parts.reset': 'Reset to standard',
+    'splitter.parts.download': 'Download report',
+    'splitter.batch.title': 'Pieces',
+    'splitter.batch.parts': 'parts',
+    'splitter.batch.edit': 'Edit',
+    'splitter.batch.editing': 'open in the editor',
+    'splitter.batch.zip': 'Download all pieces as ZIP',
+    'splitter.batch.summary': 'Split',
+    'splitter.batch.pieces': 'pieces',
     'splitter.processing': 'Processing PDF and detecting instruments...',
     'splitter.processing.ocr': 'Using OCR to detect instruments...',
+    'splitter.processing.generating': 'Generating split PDFs...',
+    'splitter.error.noPdf': 'No PDF files found',
+    'splitter.error.read': 'Failed to read files',
+    'splitter.error.process': 'Failed to process PDF',
+    'splitter.error.batch': 'Failed to process PDF: no piece of the batch could be split',
+    'splitter.error.ranges': 'Invalid page ranges',
+    'splitter.error.planMismatch': 'The imported split plan was made for a different PDF, detecting instruments instead',
+    'splitter.error.planImport': 'Failed to import split plan',
+    'splitter.error.planExport': 'Failed to export split plan',
+    'splitter.error.regenerate': 'Failed to regenerate the PDF of the part',
+    'splitter.error.zip': 'Failed to create ZIP file',
+    'splitter.confidence.low': 'Low detection confidence, please check',
+    'splitter.method.ocr': 'Part name read with OCR (this page has no text layer, so its printed page number is not checked)',
+    'splitter.method.outline': 'Part found in the PDF bookmarks',
+    'splitter.method.label': 'Part found in the PDF page labels',
+    'splitter.method.visual': 'New part: the page header changes here, but its name could not be read',
+    'splitter.mode.label': 'Detect parts from:',
+    'splitter.ocr.workers': 'OCR workers:',
+    'splitter.ocr.help': 'Pages read at once on scanned PDFs (each worker needs memory), empty = one per spare CPU core',
+    'splitter.mode.auto': 'Bookmarks or page labels, else page content',
+    'splitter.mode.content': 'Page content only',
+    'splitter.mode.manual': 'Page ranges I type',
+    'splitter.range.label': 'Page ranges:',
+    'splitter.range.help': 'One part per line or separated by ";", or "every 2 pages: Soprano Cornet, Solo Cornet, ..."',
+    'splitter.range.pages': 'Pages in this PDF',
+    'splitter.piece.title': 'Title:',
+    'splitter.piece.composer': 'Composer:',
+    'splitter.piece.arranger': 'Arranger:',
     'splitter.page': 'Page',
     'splitter.pages': 'Pages',
+    'splitter.catalog.label': 'Ensemble type:',
+    'splitter.catalog.brass-band': 'Brass Band',
+    'splitter.catalog.wind-band': 'Wind Band / Concert Band',
+    'splitter.catalog.orchestra': 'Orchestra',
+    'splitter.catalog.big-band': 'Big Band',
+    'splitter.catalog.choir': 'Choir',
 
     // Combiner
     'combiner.upload.title': 'Drop PDF files or ZIP here',
@@ -103,24 +203,124 @@ const translations = {
     'common.processing': 'Verarbeitung...',
     'common.error': 'Fehler',
     'common.cancel': 'Abbrechen',
+    'common.template.label': 'Dateinamen:',
+    'common.template.help': '.pdf – Platzhalter: {title}, {instrument}, {order}, {key}, {date}, {source}',
 
     // Splitter
     'splitter.upload.title': 'PDF hier ablegen',
-    'splitter.upload.subtitle': 'Laden Sie eine PDF mit mehreren Instrumentenstimmen hoch',
+    'splitter.upload.subtitle': 'Laden Sie eine PDF mit mehreren Instrumentenstimmen hoch, oder mehrere PDFs bzw. eine ZIP für eine ganze Sammlung',
     'splitter.upload.browse': 'oder klicken Sie zum Durchsuchen',
     'splitter.detected.title': 'Erkannte Teile',
     'splitter.filename.label': 'Basis-Dateiname für Teile:',
     'splitter.filename.placeholder': 'z.B., Better',
+    'splitter.filename.language': 'Instrumentennamen auf:',
+    'splitter.filename.numbered': 'Dateien in Partiturreihenfolge nummerieren (01-...)',
     'splitter.download.all': 'Alle herunterladen',
     'splitter.download.zip': 'Als ZIP herunterladen',
     'splitter.merge.up': 'Nach oben zusammenführen',
     'splitter.merge.down': 'Nach unten zusammenführen',
     'splitter.split.pages': 'Seiten trennen',
     'splitter.delete': 'Löschen',
+    'splitter.region.set': 'Erkennungsbereich festlegen',
+    'splitter.region.title': 'Erkennungsbereich',
+    'splitter.region.help': 'Ziehen Sie ein Rechteck um den Instrumentennamen. Es wird auf jeder Seite dieser PDF verwendet.',
+    'splitter.region.auto': 'Automatisch',
+    'splitter.region.apply': 'Übernehmen',
+    'splitter.region.custom': 'Eigener Erkennungsbereich aktiv',
+    'splitter.plan.import': 'Aufteilungsplan importieren',
+    'splitter.plan.export': 'Aufteilungsplan exportieren',
+    'splitter.plan.loaded': 'Aufteilungsplan geladen, passende PDF auswählen',
+    'splitter.pages.edit': 'Seiten bearbeiten',
+    'splitter.sort.score': 'In Partiturreihenfolge sortieren',
+    'splitter.pages.done': 'Seiteneditor schließen',
+    'splitter.pages.help': 'Seiten zwischen Stimmen oder innerhalb einer Stimme ziehen. Strg oder Alt beim Ablegen gedrückt halten zum Duplizieren.',
+    'splitter.pages.remove': 'Seite entfernen',
+    'splitter.section.button': 'Seite in zwei Stimmen teilen',
+    'splitter.section.title': 'Zwei Stimmen auf einer Seite',
+    'splitter.section.help': 'Klicken Sie dort, wo die Seite geteilt werden soll. Was nach der Schnittlinie kommt, wird eine neue Stimme.',
+    'splitter.section.direction': 'Schnitt:',
+    'splitter.section.horizontal': 'Quer (oben / unten)',
+    'splitter.section.vertical': 'Längs (links / rechts)',
+    'splitter.blank.drop': 'Leere Seiten weglassen',
+    'splitter.numbering.continues': 'Gedruckte Seitenzahl setzt die Stimme fort, Trennung entfernt',
+    'splitter.numbering.mayContinue': 'Gedruckte Zahl setzt vielleicht die vorige Stimme fort (oder ist eine Taktzahl), Trennung beibehalten',
+    'splitter.numbering.starts': 'Gedruckte Seitenzahl zeigt den Beginn einer neuen Stimme',
+    'splitter.numbering.count': 'Seitenzahl weicht von der gedruckten Nummerierung ab',
+    'splitter.combined.files': 'Je eine Datei für',
+    'splitter.key.placeholder': 'Tonart / Schlüssel',
+    'splitter.key.title': 'Tonart oder Schlüssel der Stimme (B, Es, Bassschlüssel), auch {key} in Dateinamen',
+    'splitter.diagnostics.show': 'Diagnose anzeigen',
+    'splitter.diagnostics.hide': 'Diagnose ausblenden',
+    'splitter.diagnostics.page': 'Seite',
+    'splitter.diagnostics.method.text': 'Textebene',
+    'splitter.diagnostics.method.ocr': 'OCR',
+    'splitter.diagnostics.method.outline': 'PDF-Lesezeichen',
+    'splitter.diagnostics.method.label': 'PDF-Seitenbeschriftungen',
+    'splitter.diagnostics.method.blank': 'leere Seite',
+    'splitter.diagnostics.method.visual': 'Kopfzeilenwechsel',
+    'splitter.diagnostics.region': 'Gelesener Bereich',
+    'splitter.diagnostics.read': 'Gelesener Text',
+    'splitter.diagnostics.match': 'Katalogtreffer',
+    'splitter.diagnostics.none': 'keiner',
+    'splitter.diagnostics.cut': 'Zweite Stimme auf der Seite',
+    'splitter.diagnostics.candidates': 'Kopfzeilen-Kandidaten (Wertung · Schrift@Größe)',
+    'splitter.diagnostics.noData': 'Keine Diagnose: diese Stimme wurde nicht erkannt (Aufteilungsplan oder Seitenbereiche)',
+    'splitter.parts.title': 'Stimmenprüfung',
+    'splitter.parts.complete': 'Alle erwarteten Stimmen gefunden',
+    'splitter.parts.none': 'Stimmenprüfung: erwartete Stimmen dieser Besetzung eintragen',
+    'splitter.parts.missing': 'Fehlend',
+    'splitter.parts.duplicate': 'Doppelt',
+    'splitter.parts.unexpected': 'Unerwartet',
+    'splitter.parts.found': 'Gefunden',
+    'splitter.parts.players': 'Spieler',
+    'splitter.parts.expected': 'Erwartete Stimmen (eine pro Zeile, "4x Solo Cornet" für mehrere Spieler, alternative Namen mit "|"):',
+    'splitter.parts.reset': 'Standard wiederherstellen',
+    'splitter.parts.download': 'Bericht herunterladen',
+    'splitter.batch.title': 'Stücke',
+    'splitter.batch.parts': 'Stimmen',
+    'splitter.batch.edit': 'Bearbeiten',
+    'splitter.batch.editing': 'im Editor geöffnet',
+    'splitter.batch.zip': 'Alle Stücke als ZIP herunterladen',
+    'splitter.batch.summary': 'Aufgeteilt',
+    'splitter.batch.pieces': 'Stücke',
     'splitter.processing': 'PDF wird verarbeitet und Instrumente erkannt...',
     'splitter.processing.ocr': 'OCR wird verwendet zur Instrumentenerkennung...',
+    'splitter.processing.generating': 'Einzelne PDFs werden erstellt...',
+    'splitter.error.noPdf': 'Keine PDF-Dateien gefunden',
+    'splitter.error.read': 'Dateien konnten nicht gelesen werden',
+    'splitter.error.process': 'PDF konnte nicht verarbeitet werden',
+    'splitter.error.batch': 'PDF konnte nicht verarbeitet werden: kein Stück des Stapels ließ sich aufteilen',
+    'splitter.error.ranges': 'Ungültige Seitenbereiche',
+    'splitter.error.planMismatch': 'Der importierte Aufteilungsplan gehört zu einer anderen PDF, Instrumente werden stattdessen erkannt',
+    'splitter.error.planImport': 'Aufteilungsplan konnte nicht importiert werden',
+    'splitter.error.planExport': 'Aufteilungsplan konnte nicht exportiert werden',
+    'splitter.error.regenerate': 'PDF der Stimme konnte nicht neu erstellt werden',
+    'splitter.error.zip': 'ZIP-Datei konnte nicht erstellt werden',
+    'splitter.confidence.low': 'Unsichere Erkennung, bitte prüfen',
+    'splitter.method.ocr': 'Stimmenname per OCR gelesen (diese Seite hat keine Textebene, ihre gedruckte Seitenzahl wird daher nicht geprüft)',
+    'splitter.method.outline': 'Stimme aus den PDF-Lesezeichen',
+    'splitter.method.label': 'Stimme aus den PDF-Seitenbeschriftungen',
+    'splitter.method.visual': 'Neue Stimme: die Kopfzeile ändert sich hier, der Name war aber nicht lesbar',
+    'splitter.mode.label': 'Stimmen erkennen aus:',
+    'splitter.ocr.workers': 'OCR-Worker:',
+    'splitter.ocr.help': 'Gleichzeitig gelesene Seiten bei gescannten PDFs (jeder Worker braucht Speicher), leer = einer pro freiem CPU-Kern',
+    'splitter.mode.auto': 'Lesezeichen oder Seitenbeschriftungen, sonst Seiteninhalt',
+    'splitter.mode.content': 'Nur Seiteninhalt',
+    'splitter.mode.manual': 'Selbst eingegebene Seitenbereiche',
+    'splitter.range.label': 'Seitenbereiche:',
+    'splitter.range.help': 'Eine Stimme pro Zeile oder durch ";" getrennt, oder "every 2 pages: Soprano Cornet, Solo Cornet, ..."',
+    'splitter.range.pages': 'Seiten in dieser PDF',
+    'splitter.piece.title': 'Titel:',
+    'splitter.piece.composer': 'Komponist:',
+    'splitter.piece.arranger': 'Arrangeur:',
     'splitter.page': 'Seite',
     'splitter.pages': 'Seiten',
+    'splitter.catalog.label': 'Besetzung:',
+    'splitter.catalog.brass-band': 'Brass Band',
+    'splitter.catalog.wind-band': 'Blasorchester',
+    'splitter.catalog.orchestra': 'Orchester',
+    'splitter.catalog.big-band': 'Big Band',
+    'splitter.catalog.choir': 'Chor',
 
     // Combiner
     'combiner.upload.title': 'PDF-Dateien oder ZIP hier ablegen',
@@ -182,24 +382,124 @@ const translations = {
     'common.processing': 'Traitement en cours...',
     'common.error': 'Erreur',
     'common.cancel': 'Annuler',
+    'common.template.label': 'Noms de fichier :',
+    'common.template.help': '.pdf – jetons : {title}, {instrument}, {order}, {key}, {date}, {source}',
 
     // Splitter
     'splitter.upload.title': 'Déposez votre PDF ici',
-    'splitter.upload.subtitle': 'Téléversez un PDF contenant plusieurs parties instrumentales',
+    'splitter.upload.subtitle': 'Téléversez un PDF contenant plusieurs parties instrumentales, ou plusieurs PDF ou un ZIP pour toute une collection',
     'splitter.upload.browse': 'ou cliquez pour parcourir',
     'splitter.detected.title': 'Parties détectées',
     'splitter.filename.label': 'Nom de fichier de base pour les parties :',
     'splitter.filename.placeholder': 'par ex., Better',
+    'splitter.filename.language': 'Noms d\'instruments en :',
+    'splitter.filename.numbered': 'Numéroter les fichiers dans l\'ordre de la partition (01-...)',
     'splitter.download.all': 'Tout télécharger',
     'splitter.download.zip': 'Télécharger en ZIP',
     'splitter.merge.up': 'Fusionner vers le haut',
     'splitter.merge.down': 'Fusionner vers le bas',
     'splitter.split.pages': 'Séparer les pages',
     'splitter.delete': 'Supprimer',
+    'splitter.region.set': 'Définir la zone de détection',
+    'splitter.region.title': 'Zone de détection',
+    'splitter.region.help': 'Tracez un rectangle autour du nom de l\'instrument. Il sera utilisé sur chaque page de ce PDF.',
+    'splitter.region.auto': 'Automatique',
+    'splitter.region.apply': 'Appliquer',
+    'splitter.region.custom': 'Zone de détection personnalisée active',
+    'splitter.plan.import': 'Importer un plan de découpage',
+    'splitter.plan.export': 'Exporter le plan de découpage',
+    'splitter.plan.loaded': 'Plan de découpage chargé, sélectionnez le PDF correspondant',
+    'splitter.pages.edit': 'Modifier les pages',
+    'splitter.sort.score': 'Trier dans l\'ordre de la partition',
+    'splitter.pages.done': 'Fermer l\'éditeur de pages',
+    'splitter.pages.help': 'Glissez les pages entre les parties ou au sein d\'une partie. Maintenez Ctrl ou Alt en déposant pour dupliquer.',
+    'splitter.pages.remove': 'Retirer la page',
+    'splitter.section.button': 'Couper la page en deux parties',
+    'splitter.section.title': 'Deux parties sur une page',
+    'splitter.section.help': 'Cliquez là où la page doit être coupée. Ce qui suit la ligne de coupe devient une nouvelle partie.',
+    'splitter.section.direction': 'Coupe :',
+    'splitter.section.horizontal': 'En travers (haut / bas)',
+    'splitter.section.vertical': 'En long (gauche / droite)',
+    'splitter.blank.drop': 'Omettre les pages blanches',
+    'splitter.numbering.continues': 'Le numéro de page imprimé continue la partie, séparation supprimée',
+    'splitter.numbering.mayContinue': 'Le numéro imprimé continue peut-être la partie précédente (ou est un numéro de mesure), séparation conservée',
+    'splitter.numbering.starts': 'Le numéro de page imprimé indique le début d’une nouvelle partie',
+    'splitter.numbering.count': 'Le nombre de pages diffère de la numérotation imprimée',
+    'splitter.combined.files': 'Un fichier pour chaque',
+    'splitter.key.placeholder': 'Tonalité / clé',
+    'splitter.key.title': 'Tonalité ou clé de la partie (Sib, Mib, clé de fa), aussi {key} dans les noms de fichier',
+    'splitter.diagnostics.show': 'Afficher le diagnostic',
+    'splitter.diagnostics.hide': 'Masquer le diagnostic',
+    'splitter.diagnostics.page': 'Page',
+    'splitter.diagnostics.method.text': 'couche texte',
+    'splitter.diagnostics.method.ocr': 'OCR',
+    'splitter.diagnostics.method.outline': 'signets du PDF',
+    'splitter.diagnostics.method.label': 'étiquettes de page du PDF',
+    'splitter.diagnostics.method.blank': 'page blanche',
+    'splitter.diagnostics.method.visual': 'changement d\'en-tête',
+    'splitter.diagnostics.region': 'Zone lue',
+    'splitter.diagnostics.read': 'Texte lu',
+    'splitter.diagnostics.match': 'Correspondance du catalogue',
+    'splitter.diagnostics.none': 'aucune',
+    'splitter.diagnostics.cut': 'Deuxième partie sur la page',
+    'splitter.diagnostics.candidates': 'Candidats d\'en-tête (score · police@taille)',
+    'splitter.diagnostics.noData': 'Pas de diagnostic : cette partie n\'a pas été détectée (plan de découpage ou plages de pages)',
+    'splitter.parts.title': 'Vérification des parties',
+    'splitter.parts.complete': 'Toutes les parties attendues sont présentes',
+    'splitter.parts.none': 'Vérification des parties : indiquez les parties attendues pour cet ensemble',
+    'splitter.parts.missing': 'Manquantes',
+    'splitter.parts.duplicate': 'En double',
+    'splitter.parts.unexpected': 'Inattendues',
+    'splitter.parts.found': 'Trouvées',
+    'splitter.parts.players': 'musiciens',
+    'splitter.parts.expected': 'Parties attendues (une par ligne, "4x Solo Cornet" pour plusieurs musiciens, noms alternatifs avec "|") :',
+    'splitter.parts.reset': 'Rétablir le standard',
+    'splitter.parts.download': 'Télécharger le rapport',
+    'splitter.batch.title': 'Morceaux',
+    'splitter.batch.parts': 'parties',
+    'splitter.batch.edit': 'Modifier',
+    'splitter.batch.editing': 'ouvert dans l\'éditeur',
+    'splitter.batch.zip': 'Télécharger tous les morceaux en ZIP',
+    'splitter.batch.summary': 'Divisés',
+    'splitter.batch.pieces': 'morceaux',
     'splitter.processing': 'Traitement du PDF et détection des instruments...',
     'splitter.processing.ocr': 'Utilisation de l\'OCR pour détecter les instruments...',
+    'splitter.processing.generating': 'Création des PDFs séparés...',
+    'splitter.error.noPdf': 'Aucun fichier PDF trouvé',
+    'splitter.error.read': 'Échec de la lecture des fichiers',
+    'splitter.error.process': 'Échec du traitement du PDF',
+    'splitter.error.batch': 'Échec du traitement du PDF : aucun morceau du lot n\'a pu être divisé',
+    'splitter.error.ranges': 'Plages de pages invalides',
+    'splitter.error.planMismatch': 'Le plan de division importé a été fait pour un autre PDF, détection des instruments à la place',
+    'splitter.error.planImport': 'Échec de l\'import du plan de division',
+    'splitter.error.planExport': 'Échec de l\'export du plan de division',
+    'splitter.error.regenerate': 'Échec de la régénération du PDF de la partie',
+    'splitter.error.zip': 'Échec de la création du fichier ZIP',
+    'splitter.confidence.low': 'Détection incertaine, à vérifier',
+    'splitter.method.ocr': 'Nom de partie lu par OCR (cette page n\'a pas de couche texte, son numéro de page imprimé n\'est donc pas vérifié)',
+    'splitter.method.outline': 'Partie trouvée dans les signets du PDF',
+    'splitter.method.label': 'Partie trouvée dans les étiquettes de page du PDF',
+    'splitter.method.visual': 'Nouvelle partie : l’en-tête de page change ici, mais son nom est illisible',
+    'splitter.mode.label': 'Détecter les parties depuis :',
+    'splitter.ocr.workers': 'Workers OCR :',
+    'splitter.ocr.help': 'Pages lues en parallèle sur les PDF scannés (chaque worker utilise de la mémoire), vide = un par cœur CPU libre',
+    'splitter.mode.auto': 'Signets ou étiquettes de page, sinon contenu des pages',
+    'splitter.mode.content': 'Contenu des pages uniquement',
+    'splitter.mode.manual': 'Plages de pages saisies',
+    'splitter.range.label': 'Plages de pages :',
+    'splitter.range.help': 'Une partie par ligne ou séparées par ";", ou "every 2 pages: Soprano Cornet, Solo Cornet, ..."',
+    'splitter.range.pages': 'Pages dans ce PDF',
+    'splitter.piece.title': 'Titre :',
+    'splitter.piece.composer': 'Compositeur :',
+    'splitter.piece.arranger': 'Arrangeur :',
     'splitter.page': 'Page',
     'splitter.pages': 'Pages',
+    'splitter.catalog.label': 'Type d\'ensemble :',
+    'splitter.catalog.brass-band': 'Brass band',
+    'splitter.catalog.wind-band': 'Orchestre d\'harmonie',
+    'splitter.catalog.orchestra': 'Orchestre',
+    'splitter.catalog.big-band': 'Big band',
+    'splitter.catalog.choir': 'Chœur',
 
     // Combiner
     'combiner.upload.title': 'Déposez les fichiers PDF ou ZIP ici',
@@ -4,9 +4,17 @@
 
 import { PDFDocument } from 'pdf-lib';
 import { t } from '../../../i18n.js';
+import { getCatalog } from '../../pdf-splitter/src/instruments.js';
+import { sortByScoreOrder } from '../../pdf-splitter/src/score-order.js';
+import { renderFilename, loadFilenameTemplate, saveFilenameTemplate } from '../../../filename-template.js';
+
+// Name of the assembled PDF until the user sets another template ({title} is the output filename)
+const DEFAULT_FILENAME_TEMPLATE = '{title}';
 
 // State
 let uploadedPDFs = []; // [{name, pdfDoc, pageCount, replicas}]
+let sourceName = ''; // Common prefix of the uploaded filenames, for {source}
+let filenameTemplate = loadFilenameTemplate('assembler', DEFAULT_FILENAME_TEMPLATE);
 
 // DOM elements
 const uploadArea = document.getElementById('uploadArea');
@@ -18,6 +26,7 @@ const assembleBtn = document.getElementById('assembleBtn');
 const errorMessage = document.getElementById('errorMessage');
 const totalPages = document.getElementById('totalPages');
 const outputFilename = document.getElementById('outputFilename');
+const filenameTemplateInput = document.getElementById('filenameTemplate');
 
 // Setup event listeners
 uploadArea.addEventListener('click', () => fileInput.click());
@@ -27,6 +36,14 @@ uploadArea.addEventListener('drop', handleDrop);
 fileInput.addEventListener('change', handleFileSelect);
 assembleBtn.addEventListener('click', assemblePDF);
 
+// Filename template, remembered between sessions
+filenameTemplateInput.value = filenameTemplate;
+filenameTemplateInput.addEventListener('change', () => {
+  saveFilenameTemplate('assembler', filenameTemplateInput.value);
+  filenameTemplate = loadFilenameTemplate('assembler', DEFAULT_FILENAME_TEMPLATE);
+  filenameTemplateInput.value = filenameTemplate;
+});
+
 /**
  * Handle file selection
  */
@@ -90,12 +107,14 @@ async function processFiles(files) {
       throw new Error('No PDF files found');
     }
 
-    // Sort PDFs alphabetically by name
-    uploadedPDFs.sort((a, b) => a.name.localeCompare(b.name));
+    // Sort PDFs in score order of the ensemble last chosen in the splitter (alphabetically otherwise)
+    const catalog = getCatalog(localStorage.getItem('partkit-splitter-catalog'));
+    uploadedPDFs = sortByScoreOrder(uploadedPDFs, pdf => pdf.name, catalog);
 
     // Set output filename based on common prefix
     const commonPrefix = findCommonPrefix(uploadedPDFs.map(pdf => pdf.name));
     outputFilename.value = commonPrefix || 'assembled-parts';
+    sourceName = commonPrefix;
 
     displayPreview();
 
@@ -113,7 +132,7 @@ async function processFiles(files) {
  * Extract PDF files from ZIP
  */
 async function extractPDFsFromZip(zipFile) {
-  const JSZip = (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
+  const JSZip = (await import('jszip')).default;
 
   const zip = await JSZip.loadAsync(zipFile);
   const pdfFiles = [];
@@ -339,8 +358,10 @@ async function assemblePDF() {
     const blob = new Blob([pdfBytes], { type: 'application/pdf' });
 
     // Download the file
-    const baseFilename = outputFilename.value.trim() || 'assembled-parts';
-    const filename = `${baseFilename}.pdf`;
+    const filename = renderFilename(filenameTemplate, {
+      title: outputFilename.value.trim() || 'assembled-parts',
+      source: sourceName
+    });
     downloadFile(blob, filename);
 
     processing.classList.remove('active');
@@ -5,12 +5,19 @@
 import { loadPDF, getPageThumbnail } from './pdf-processor.js';
 import { combinePDFPages, calculatePairings } from './pdf-combiner.js';
 import { t } from '../../../i18n.js';
+import { getCatalog } from '../../pdf-splitter/src/instruments.js';
+import { findPartInstrument, getScoreNumbers, sortByScoreOrder } from '../../pdf-splitter/src/score-order.js';
+import { renderFilename, loadFilenameTemplate, saveFilenameTemplate } from '../../../filename-template.js';
+
+// Names of the combined PDFs until the user sets another template
+const DEFAULT_FILENAME_TEMPLATE = '{source}-combined';
 
 // State
 let uploadedPDFs = []; // {name, pdfDoc, file, firstPageAlone, pairings, combinedPDF}
 let globalCropMargins = false;
 let globalCropPercent = 5;
 let thumbnailCache = {}; // Cache thumbnails by "pdfIndex-pageNumber" key
+let filenameTemplate = loadFilenameTemplate('combiner', DEFAULT_FILENAME_TEMPLATE);
 
 // DOM elements
 const uploadArea = document.getElementById('uploadArea');
@@ -21,6 +28,7 @@ const pdfsList = document.getElementById('pdfsList');
 const downloadAllBtn = document.getElementById('downloadAllBtn');
 const downloadZipBtn = document.getElementById('downloadZipBtn');
 const errorMessage = document.getElementById('errorMessage');
+const filenameTemplateInput = document.getElementById('filenameTemplate');
 
 // Setup event listeners
 uploadArea.addEventListener('click', () => fileInput.click());
@@ -31,6 +39,14 @@ fileInput.addEventListener('change', handleFileSelect);
 downloadAllBtn.addEventListener('click', downloadAll);
 downloadZipBtn.addEventListener('click', downloadAllAsZip);
 
+// Filename template, remembered between sessions
+filenameTemplateInput.value = filenameTemplate;
+filenameTemplateInput.addEventListener('change', () => {
+  saveFilenameTemplate('combiner', filenameTemplateInput.value);
+  filenameTemplate = loadFilenameTemplate('combiner', DEFAULT_FILENAME_TEMPLATE);
+  filenameTemplateInput.value = filenameTemplate;
+});
+
 /**
  * Handle file selection
  */
@@ -102,6 +118,10 @@ async function processFiles(files) {
       throw new Error('No PDF files found');
     }
 
+    // Parts in score order of the ensemble last chosen in the splitter (alphabetically otherwise)
+    const catalog = getCatalog(localStorage.getItem('partkit-splitter-catalog'));
+    uploadedPDFs = sortByScoreOrder(uploadedPDFs, pdf => pdf.name, catalog);
+
     // Set ZIP filename input to original ZIP name if available
     const zipFilenameInput = document.getElementById('zipFilename');
     if (originalZipFilename) {
@@ -129,7 +149,7 @@ async function processFiles(files) {
  * Extract PDF files from ZIP
  */
 async function extractPDFsFromZip(zipFile) {
-  const JSZip = (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
+  const JSZip = (await import('jszip')).default;
 
   const zip = await JSZip.loadAsync(zipFile);
   const pdfFiles = [];
@@ -352,22 +372,37 @@ async function generateCombinedPDF(index) {
   pdf.combinedPDF = await combinePDFPages(pdf.file, pdf.pairings, cropAmount);
 }
 
+/**
+ * Filenames of the combined PDFs, from the filename template
+ * {source} is the original filename, {title} the ZIP filename; {instrument} and {order}
+ * are read from the original filename
+ */
+function getCombinedFilenames() {
+  const catalog = getCatalog(localStorage.getItem('partkit-splitter-catalog'));
+  const numbers = getScoreNumbers(uploadedPDFs.map(pdf => pdf.name), catalog);
+  const title = document.getElementById('zipFilename').value.trim() || originalZipFilename;
+  return uploadedPDFs.map((pdf, i) => renderFilename(filenameTemplate, {
+    title,
+    instrument: findPartInstrument(pdf.name, catalog),
+    order: numbers[i],
+    source: pdf.name.replace(/\.pdf$/i, '')
+  }));
+}
+
 /**
  * Download a single combined PDF
  */
 window.downloadSingle = function(index) {
-  const pdf = uploadedPDFs[index];
-  const filename = pdf.name.replace(/\.pdf$/i, '-combined.pdf');
-  downloadFile(pdf.combinedPDF, filename);
+  downloadFile(uploadedPDFs[index].combinedPDF, getCombinedFilenames()[index]);
 };
 
 /**
  * Download all combined PDFs
  */
 async function downloadAll() {
-  for (const pdf of uploadedPDFs) {
-    const filename = pdf.name.replace(/\.pdf$/i, '-combined.pdf');
-    downloadFile(pdf.combinedPDF, filename);
+  const filenames = getCombinedFilenames();
+  for (let i = 0; i < uploadedPDFs.length; i++) {
+    downloadFile(uploadedPDFs[i].combinedPDF, filenames[i]);
     await new Promise(resolve => setTimeout(resolve, 100));
   }
 }
@@ -377,13 +412,13 @@ async function downloadAll() {
  */
 async function downloadAllAsZip() {
   try {
-    const JSZip = (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
+    const JSZip = (await import('jszip')).default;
     const zip = new JSZip();
 
-    for (const pdf of uploadedPDFs) {
-      const filename = pdf.name.replace(/\.pdf$/i, '-combined.pdf');
-      zip.file(filename, pdf.combinedPDF);
-    }
+    const filenames = getCombinedFilenames();
+    uploadedPDFs.forEach((pdf, i) => {
+      zip.file(filenames[i], pdf.combinedPDF);
+    });
 
     const zipBlob = await zip.generateAsync({ type: 'blob' });
 
@@ -3,12 +3,19 @@
  */
 
 import { PDFDocument } from 'pdf-lib';
+import { getCatalog } from '../../pdf-splitter/src/instruments.js';
+import { findPartInstrument, getScoreNumbers, sortByScoreOrder } from '../../pdf-splitter/src/score-order.js';
+import { renderFilename, loadFilenameTemplate, saveFilenameTemplate } from '../../../filename-template.js';
+
+// Names of the merged PDFs until the user sets another template
+const DEFAULT_FILENAME_TEMPLATE = '{source}-merged';
 
 // State
 let commonPDF = null;
 let commonFileName = '';
 let partsPDFs = [];
 let mergedPDFs = [];
+let filenameTemplate = loadFilenameTemplate('merger', DEFAULT_FILENAME_TEMPLATE);
 
 // DOM elements
 const commonUploadArea = document.getElementById('commonUploadArea');
@@ -21,6 +28,7 @@ const previewSection = document.getElementById('previewSection');
 const downloadAllBtn = document.getElementById('downloadAllBtn');
 const downloadZipBtn = document.getElementById('downloadZipBtn');
 const errorMessage = document.getElementById('errorMessage');
+const filenameTemplateInput = document.getElementById('filenameTemplate');
 
 // Setup event listeners for common PDF
 commonUploadArea.addEventListener('click', () => commonFileInput.click());
@@ -40,6 +48,15 @@ partsFileInput.addEventListener('change', handlePartsFileSelect);
 downloadAllBtn.addEventListener('click', downloadAll);
 downloadZipBtn.addEventListener('click', downloadAllAsZip);
 
+// Filename template, remembered between sessions
+filenameTemplateInput.value = filenameTemplate;
+filenameTemplateInput.addEventListener('change', () => {
+  saveFilenameTemplate('merger', filenameTemplateInput.value);
+  filenameTemplate = loadFilenameTemplate('merger', DEFAULT_FILENAME_TEMPLATE);
+  filenameTemplateInput.value = filenameTemplate;
+  nameMergedPDFs();
+});
+
 /**
  * Handle drag over
  */
@@ -159,6 +176,10 @@ async function loadPartsPDFs(files) {
       throw new Error('No PDF files found');
     }
 
+    // Parts in score order of the ensemble last chosen in the splitter (alphabetically otherwise)
+    const catalog = getCatalog(localStorage.getItem('partkit-splitter-catalog'));
+    partsPDFs = sortByScoreOrder(partsPDFs, part => part.name, catalog);
+
     // Update UI
     partsUploadArea.classList.add('has-file');
     partsUploadArea.querySelector('p').innerHTML = `<strong>✓ Loaded ${partsPDFs.length} PDF${partsPDFs.length > 1 ? 's' : ''}</strong>`;
@@ -178,7 +199,7 @@ async function loadPartsPDFs(files) {
  * Extract PDF files from ZIP
  */
 async function extractPDFsFromZip(zipFile) {
-  const JSZip = (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
+  const JSZip = (await import('jszip')).default;
 
   const zip = await JSZip.loadAsync(zipFile);
   const pdfFiles = [];
@@ -220,15 +241,12 @@ async function processMerge() {
       const pdfBytes = await mergedPdf.save();
       const blob = new Blob([pdfBytes], { type: 'application/pdf' });
 
-      // Generate filename
-      const baseName = part.name.replace(/\.pdf$/i, '');
-      const filename = `${baseName}-merged.pdf`;
-
       mergedPDFs.push({
-        filename: filename,
+        source: part.name,
         blob: blob
       });
     }
+    nameMergedPDFs();
 
     // Update UI
     document.getElementById('mergedCount').textContent = mergedPDFs.length;
@@ -242,6 +260,24 @@ async function processMerge() {
   }
 }
 
+/**
+ * Name the merged PDFs from the filename template
+ * {source} is the part's filename, {title} the common PDF's; {instrument} and {order}
+ * are read from the part's filename
+ */
+function nameMergedPDFs() {
+  const catalog = getCatalog(localStorage.getItem('partkit-splitter-catalog'));
+  const numbers = getScoreNumbers(mergedPDFs.map(pdf => pdf.source), catalog);
+  mergedPDFs.forEach((pdf, i) => {
+    pdf.filename = renderFilename(filenameTemplate, {
+      title: commonFileName.replace(/\.pdf$/i, ''),
+      instrument: findPartInstrument(pdf.source, catalog),
+      order: numbers[i],
+      source: pdf.source.replace(/\.pdf$/i, '')
+    });
+  });
+}
+
 /**
  * Download all merged PDFs
  */
@@ -257,7 +293,7 @@ async function downloadAll() {
  */
 async function downloadAllAsZip() {
   try {
-    const JSZip = (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
+    const JSZip = (await import('jszip')).default;
     const zip = new JSZip();
 
     for (const pdf of mergedPDFs) {
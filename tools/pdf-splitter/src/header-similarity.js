@@ -0,0 +1,82 @@
+/**
+ * Visual part boundary detection for scans whose part names can't be read
+ * (stylised or handwritten headers): the header strips of consecutive pages are
+ * compared as images, and a sharp change marks the start of a new part
+ */
+
+// Headers at least this similar (after alignment) show the same thing
+const SAME_HEADER = 0.9;
+
+// Headers with less ink than this share of the fuller headers are continuation
+// headers ("2", "page 2", a small running title), never the start of a part
+const LIGHT_HEADER_SHARE = 0.5;
+
+// Scans are rarely aligned exactly: compare with small shifts (in fingerprint cells)
+const MAX_SHIFT_X = 2;
+const MAX_SHIFT_Y = 1;
+
+/**
+ * Similarity of two header fingerprints from getHeaderFingerprint
+ * Ink overlap over ink union, at the best small shift
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+export function compareHeaders(a, b) {
+  const { columns, rows } = a;
+  let best = 0;
+
+  for (let dy = -MAX_SHIFT_Y; dy <= MAX_SHIFT_Y; dy++) {
+    for (let dx = -MAX_SHIFT_X; dx <= MAX_SHIFT_X; dx++) {
+      let overlap = 0;
+      let union = 0;
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          const shiftedRow = row + dy;
+          const shiftedColumn = column + dx;
+          const valueA = a.cells[row * columns + column];
+          const valueB = shiftedRow >= 0 && shiftedRow < rows && shiftedColumn >= 0 && shiftedColumn < columns
+            ? b.cells[shiftedRow * columns + shiftedColumn]
+            : 0;
+          overlap += Math.min(valueA, valueB);
+          union += Math.max(valueA, valueB);
+        }
+      }
+      // Two empty headers are the same
+      best = Math.max(best, union > 0 ? overlap / union : 1);
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the pages whose header differs sharply from the page before
+ * @param {Map<number, Object>} fingerprints - Page number → header fingerprint, for the scanned pages
+ * @returns {Set<number>} Pages that start a new part (the first page is never included,
+ *   there is nothing to compare it with)
+ */
+export function findHeaderBoundaries(fingerprints) {
+  const pages = [...fingerprints.keys()].sort((a, b) => a - b);
+  const boundaries = new Set();
+  if (pages.length < 2) {
+    return boundaries;
+  }
+
+  // Ink of a full part header: the 90th percentile, so one heavy page doesn't set the bar
+  const inks = pages.map(pageNum => fingerprints.get(pageNum).ink).sort((a, b) => a - b);
+  const fullInk = inks[Math.floor((inks.length - 1) * 0.9)];
+  const minInk = fullInk * LIGHT_HEADER_SHARE;
+
+  for (let i = 1; i < pages.length; i++) {
+    const header = fingerprints.get(pages[i]);
+    if (header.ink < minInk) {
+      continue; // Continuation page
+    }
+    const similarity = compareHeaders(fingerprints.get(pages[i - 1]), header);
+    if (similarity < SAME_HEADER) {
+      console.log(`👁 Page ${pages[i]}: header changed (similarity ${Math.round(similarity * 100)}%)`);
+      boundaries.add(pages[i]);
+    }
+  }
+
+  return boundaries;
+}
@@ -3,23 +3,343 @@
  */
 
 import Fuse from 'fuse.js';
-import { BRASS_BAND_INSTRUMENTS, normalizeInstrumentName } from './instruments.js';
+import {
+  DEFAULT_CATALOG_ID,
+  getCatalog,
+  getKeywordPattern,
+  findCatalogInstrument,
+  normalizeInstrumentName
+} from './instruments.js';
+import { translateInstrumentText, parseTransposition, stripTransposition, toOrdinal } from './instrument-translations.js';
 
-// Configure fuzzy search
-const fuse = new Fuse(BRASS_BAND_INSTRUMENTS, {
-  threshold: 0.3, // 0 = perfect match, 1 = match anything
-  distance: 100,
-  ignoreLocation: true,
-  keys: ['name'],
-  getFn: (obj) => normalizeInstrumentName(obj)
-});
+// Fuzzy search indexes, built lazily per catalog
+const fuseIndexes = {};
+
+// Detections below this confidence are flagged for review in the preview
+export const LOW_CONFIDENCE = 0.8;
+
+// Fuzzy matches below this confidence are discarded
+const MIN_CONFIDENCE = 0.5;
+
+// Word windows are any text on the page ("Brass Band", "Tempo di Marcia"), so they need a closer match
+const WINDOW_MIN_CONFIDENCE = 0.7;
+
+// Desk numbers written as words or roman numerals: "Second Cornet", "Solo Cornet II"
+const DESK_WORDS = { first: 1, second: 2, third: 3, fourth: 4, i: 1, ii: 2, iii: 3, iv: 4 };
+
+// Confidence given to raw keyword text that matches no catalog entry
+const RAW_TEXT_CONFIDENCE = 0.4;
+
+// Confidence given to a misspelled instrument word whose desk can't be told ("Trornbone"),
+// enough to start a part, low enough to be flagged for review
+const BASE_INSTRUMENT_CONFIDENCE = 0.6;
+
+// Shorter keywords are too close to ordinary words to be corrected on their own ("Brass" → "Bass")
+const BASE_KEYWORD_MIN_LENGTH = 6;
+
+// Credits printed after the part name ("Trombone Written for ...", "Posaune 1 Bearbeitung: H. Meier"),
+// in English and the languages of instrument-translations.js
+const CREDIT_PATTERN = new RegExp(
+  '\\s+(?:Written|for|Funk|Better|Championships|Concert|Liam|Arranged|Pat|Metheny' +
+  '|arr\\.|Arrangement|Bearbeitung|bearb\\.|für|pour|voor|bewerking|per|arrangiamento|elaborazione)' +
+  '(?![a-zà-ÿ]).*',
+  'i'
+);
+
+// Separators between the players of a combined part: "2nd & 3rd Cornet", "Eb/BBb Bass"
+const COMBINED_SEPARATOR = /\s*(?:\/|&|\+|,|\band\b|\bund\b|\bet\b)\s*/i;
+
+// A piece of a combined part that only qualifies the instrument named beside it:
+// ordinals ("2nd"), keys ("Eb", "BBb"), numbers ("1", "II") and brass band desks ("Solo", "Repiano")
+const QUALIFIER_PATTERN = /^(?:\d+(?:st|nd|rd|th)?|first|second|third|BB[b♭]|[A-G][b♭#♯]?|[ivx]+|solo|repiano|ripiano)$/i;
+
+/**
+ * Get (or build) the fuzzy search index for a catalog
+ */
+function getFuse(catalog) {
+  if (!fuseIndexes[catalog.id]) {
+    fuseIndexes[catalog.id] = new Fuse(catalog.instruments.map(normalizeInstrumentName), {
+      threshold: 0.4, // 0 = perfect match, 1 = match anything
+      distance: 100,
+      ignoreLocation: true,
+      includeScore: true
+    });
+  }
+  return fuseIndexes[catalog.id];
+}
+
+/**
+ * Desk numbers in a part name: "2nd Cornet", "Second Cornet" and "Cornet II" → [2]
+ */
+function getDeskNumbers(text) {
+  return normalizeInstrumentName(text)
+    .split(/[\s.]+/)
+    .map(word => {
+      const ordinal = word.match(/^(\d+)(?:st|nd|rd|th)?$/);
+      return ordinal ? parseInt(ordinal[1], 10) : DESK_WORDS[word];
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Number of single-letter edits between two words
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Whether one of the words is a word of a name, also misspelled by OCR ("Trornbone",
+ * "Euphonlum"): one edit allowed per four letters
+ */
+function hasWord(words, nameWord) {
+  return words.some(word => editDistance(word, nameWord) <= Math.floor(nameWord.length / 4));
+}
+
+/**
+ * Whether a piece of text holds one of the catalog's keywords, possibly misspelled
+ */
+function hasKeyword(text, catalog) {
+  const words = normalizeInstrumentName(text).split(/\s+/);
+  return getKeywordPattern(catalog).test(text) || catalog.keywords.some(keyword => hasWord(words, keyword));
+}
+
+/**
+ * Whether a text names every part of a catalog instrument: each of its words (possibly
+ * misspelled) and its desk number in any form, so "Solo" is not "Solo Horn", "Brass" is not
+ * "Eb Bass" and "Trombones" is not "1st Trombone"
+ */
+function namesInstrument(text, name) {
+  const words = normalizeInstrumentName(text).split(/\s+/);
+  const desks = getDeskNumbers(text);
+  return normalizeInstrumentName(name).split(' ').every(nameWord => {
+    const [desk] = getDeskNumbers(nameWord);
+    return desk ? desks.includes(desk) : hasWord(words, nameWord);
+  });
+}
+
+/**
+ * Catalog name of a part whose desk number is written apart from an alias or key:
+ * "Bb Clarinet 2" → "2nd Clarinet", "Alto Sax 1" → "1st Alto Saxophone", "2nd Bb Clarinet" → "2nd Clarinet"
+ * @returns {string|null} null when there is no desk, or the catalog doesn't have that desk
+ */
+function findDeskInstrument(text, catalog) {
+  const match = text.match(/^(.+?)\s+(\d|I{1,3}|IV)$/i) || text.match(/^(\d)(?:st|nd|rd|th)\s+(.+)$/i);
+  if (!match) {
+    return null;
+  }
+  const [deskText, baseText] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+  const [desk] = getDeskNumbers(deskText);
+  if (!desk) {
+    return null;
+  }
+  // The catalog may only have the instrument with desks ("1st Trombone", no "Trombone")
+  const base = findCatalogInstrument(baseText, catalog) || baseText;
+  return [`${toOrdinal(desk)} ${base}`, `${base} ${desk}`]
+    .map(name => findCatalogInstrument(name, catalog))
+    .find(Boolean) || null;
+}
+
+/**
+ * The instrument a misspelled word of a line stands for, without desk: "Trornbone 2nd" → "Trombone"
+ * Used when no catalog entry is fully named, so the page still starts a part
+ * @returns {string|null} The catalog name of the keyword when it is one, else the keyword capitalized
+ */
+function matchBaseInstrument(line, catalog) {
+  const words = normalizeInstrumentName(line).split(/\s+/);
+  const keyword = catalog.keywords.find(keyword =>
+    keyword.length >= BASE_KEYWORD_MIN_LENGTH && hasWord(words, keyword)
+  );
+  if (!keyword) {
+    return null;
+  }
+  return findCatalogInstrument(keyword, catalog) || keyword.charAt(0).toUpperCase() + keyword.slice(1);
+}
+
+/**
+ * Find the closest catalog instrument for a piece of text
+ * Confidence combines the Fuse score with how much of the name the text covers
+ * Only instruments the text fully names are matched (see namesInstrument), so "Bass"
+ * alone becomes neither "Bass Trombone" nor "Eb Bass"
+ * @returns {{name: string, confidence: number}|null}
+ */
+function fuzzyMatch(text, catalog) {
+  const query = normalizeInstrumentName(text);
+  if (query.length < 3) {
+    return null;
+  }
+
+  let best = null;
+  for (const result of getFuse(catalog).search(query)) {
+    const name = catalog.instruments[result.refIndex];
+    if (!namesInstrument(query, name)) {
+      continue;
+    }
+    const coverage = Math.min(query.length, name.length) / Math.max(query.length, name.length);
+    const confidence = (1 - result.score) * Math.sqrt(coverage);
+    if (!best || confidence > best.confidence) {
+      best = { name, confidence };
+    }
+  }
+  return best;
+}
+
+/**
+ * Word windows (1 to 4 words) of a line, used to fuzzy match OCR'd lines
+ * where the part name is surrounded by other text
+ * Only windows holding a (possibly misspelled) catalog keyword are kept
+ */
+function wordWindows(line, catalog) {
+  const words = line.split(/\s+/).filter(word => word.length > 0);
+  const windows = [];
+  for (let size = Math.min(4, words.length); size >= 1; size--) {
+    for (let i = 0; i + size <= words.length; i++) {
+      windows.push(words.slice(i, i + size).join(' '));
+    }
+  }
+  return windows.filter(window => hasKeyword(window, catalog));
+}
+
+/**
+ * The instrument of a part name without its desk and key: "2nd Cornets" and "Solo Cornet" → "cornet"
+ */
+function getInstrumentBase(name) {
+  return normalizeInstrumentName(name)
+    .split(' ')
+    .filter(word => !QUALIFIER_PATTERN.test(word))
+    .join(' ')
+    .replace(/s$/, '');
+}
+
+/**
+ * Split a combined part name into one name per player
+ * A qualifier on its own takes the instrument of the piece next to it:
+ * "2nd & 3rd Cornet" → ["2nd Cornet", "3rd Cornet"], "Eb/BBb Bass" → ["Eb Bass", "BBb Bass"],
+ * "Percussion 1 & 2" → ["Percussion 1", "Percussion 2"], "Solo & Repiano Cornet" → ["Solo Cornet", "Repiano Cornet"]
+ * Only desks or keys of one instrument make a combined part: "Flute/Piccolo" is one player doubling
+ * @returns {string[]} The names, a single entry when the text names one part
+ */
+export function splitCombinedName(text) {
+  const pieces = text.split(COMBINED_SEPARATOR).map(piece => piece.trim()).filter(Boolean);
+  const isQualifier = (piece) => QUALIFIER_PATTERN.test(piece);
+  if (pieces.length < 2 || pieces.every(isQualifier)) {
+    return [text.trim()];
+  }
+
+  const names = pieces.map((piece, i) => {
+    if (!isQualifier(piece)) {
+      return piece;
+    }
+    const next = pieces.slice(i + 1).find(p => !isQualifier(p));
+    if (next) {
+      // Qualifier in front: "2nd" + "3rd Cornet" → "2nd Cornet"
+      const words = next.split(/\s+/);
+      return [piece, ...(isQualifier(words[0]) ? words.slice(1) : words)].join(' ');
+    }
+    // Qualifier behind: "Percussion 1" + "2" → "Percussion 2"
+    const words = pieces.slice(0, i).reverse().find(p => !isQualifier(p)).split(/\s+/);
+    return [...(isQualifier(words[words.length - 1]) ? words.slice(0, -1) : words), piece].join(' ');
+  });
+  const base = getInstrumentBase(names[0]);
+  return names.every(name => getInstrumentBase(name) === base) ? names : [text.trim()];
+}
+
+/**
+ * Match every player of a combined part line to the catalog
+ * @returns {{name: string, names: string[], confidence: number, sourceText: string}|null}
+ *   null unless the line names at least two different desks or keys of an instrument, each confidently
+ */
+function detectCombinedInstruments(line, catalog) {
+  const names = [];
+  let confidence = 1;
+
+  for (const piece of splitCombinedName(line)) {
+    const candidates = translateInstrumentText(piece);
+    // Combined parts often use the plural: "2nd & 3rd Cornets"
+    const exactMatch = candidates
+      .map(candidate => findCatalogInstrument(candidate, catalog) || findCatalogInstrument(candidate.replace(/s$/i, ''), catalog))
+      .find(Boolean);
+    const match = exactMatch ? { name: exactMatch, confidence: 1 } : fuzzyMatch(candidates[0], catalog);
+    if (!match || match.confidence < LOW_CONFIDENCE) {
+      return null;
+    }
+    if (!names.includes(match.name)) {
+      names.push(match.name);
+    }
+    confidence = Math.min(confidence, match.confidence);
+  }
+
+  return names.length >= 2 ? { name: names[0], names, confidence, sourceText: line } : null;
+}
+
+/**
+ * Resolve a typed part name to catalog names, one per player for a combined part
+ * ("Eb/BBb Bass" → ["Eb Bass", "BBb Bass"]); a name that isn't made of catalog
+ * instruments is kept as typed
+ * A key or clef typed with a single part is left out, it belongs in the split's key
+ * (from parseTransposition) as for a detected name: "Trombone in Bb" → ["Trombone"]
+ * @returns {string[]}
+ */
+export function resolveInstrumentNames(text, catalog = getCatalog(DEFAULT_CATALOG_ID)) {
+  const typed = text.trim();
+  const whole = findCatalogInstrument(typed, catalog);
+  if (whole) {
+    return [withoutTransposition(whole)];
+  }
+  const names = splitCombinedName(typed).map(name => findCatalogInstrument(name, catalog));
+  if (names.length >= 2 && names.every(Boolean)) {
+    return [...new Set(names)];
+  }
+  const name = withoutTransposition(typed);
+  return [withoutTransposition(findCatalogInstrument(name, catalog) || name)];
+}
+
+/**
+ * A part name without the key and clef, which go in the split's key: catalog names
+ * have them too ("Soprano Cornet in Eb" → "Soprano Cornet", "Horn in F" → "Horn")
+ */
+function withoutTransposition(name) {
+  return stripTransposition(name) || name;
+}
 
 /**
  * Detect instrument name from extracted text
+ * Candidates are ranked by fuzzy score, so OCR errors like "Euphonlum" or
+ * "Trornbone" still resolve to the catalog name
+ * The key and clef printed with the name ("Trombone in B♭ (treble clef)") are returned apart,
+ * except for combined parts, whose players can be in different keys; also when the catalog name
+ * has them: "Horn in F" → Horn, key F and "Soprano Cornet in Eb" → Soprano Cornet, key Eb
  * @param {string} text - Text extracted from page
- * @returns {string|null} Detected instrument name or null
+ * @param {Object} catalog - Instrument catalog to match against (defaults to brass band)
+ * @returns {{name: string, confidence: number, sourceText: string, names?: string[], key?: string}|null}
+ *   Detection, or null. confidence is 0-1 (1 = exact catalog match), sourceText is the line it was
+ *   read from, names lists every instrument of a combined part ("2nd & 3rd Cornet"), name is the
+ *   first, key is the transposition from parseTransposition ("Bb treble clef")
  */
-export function detectInstrument(text) {
+export function detectInstrument(text, catalog = getCatalog(DEFAULT_CATALOG_ID)) {
+  const detection = matchInstrument(text, catalog);
+  if (detection && !detection.names) {
+    detection.name = withoutTransposition(detection.name);
+    const key = parseTransposition(detection.sourceText);
+    if (key) {
+      detection.key = key;
+    }
+  }
+  return detection;
+}
+
+/**
+ * Find the instrument named in extracted text (detectInstrument without the key)
+ */
+function matchInstrument(text, catalog) {
   if (!text || text.trim().length === 0) {
     return null;
   }
@@ -38,23 +358,57 @@ export function detectInstrument(text) {
   // Look for instrument name anywhere in the text
   const firstPart = cleanText.substring(0, 200);
 
-  // Strategy: Search for instrument keywords anywhere in the text
-  const instrumentKeywords = /soprano|cornet|horn|baritone|trombone|euphonium|bass|tuba|percussion|timpani|flugel|repiano/i;
+  // Strategy: Search for the catalog's instrument keywords anywhere in the text
+  const instrumentKeywords = getKeywordPattern(catalog);
 
   // Split into lines and search each line
-  const lines = firstPart.split('\n').map(l => l.trim());
+  // The key and clef are read from the line later (detectInstrument), the name is matched without them
+  // Continental part names ("Posaune 1", "Tuba en Mib") are translated to English candidates, without credits
+  const lines = firstPart.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+  const translatedLines = lines.map(line =>
+    translateInstrumentText(withoutTransposition(line.replace(CREDIT_PATTERN, '')))
+  );
+
+  // A line that is exactly a catalog name or alias (e.g. "Euph") needs no keyword
+  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
+    for (const candidate of translatedLines[lineIdx]) {
+      const catalogMatch = findCatalogInstrument(candidate, catalog);
+      if (catalogMatch) {
+        return { name: catalogMatch, confidence: 1, sourceText: lines[lineIdx] };
+      }
+    }
+  }
 
+  // A combined part ("2nd & 3rd Cornet", "Eb/BBb Bass") is one split for several players
   for (const line of lines) {
+    const combined = detectCombinedInstruments(line, catalog);
+    if (combined) {
+      return combined;
+    }
+  }
+
+  // Collect candidates from every line, then keep the best-scoring one
+  let best = null;
+  const consider = (name, confidence, sourceText) => {
+    if (!best || confidence > best.confidence) {
+      best = { name, confidence, sourceText };
+    }
+  };
+
+  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
+    const [line] = translatedLines[lineIdx];
+    const sourceText = lines[lineIdx];
+
     if (instrumentKeywords.test(line)) {
       // Found a line with an instrument keyword
       // Extract the instrument part from this line
 
-      // Try to extract instrument name with optional prefix (Eb, Bb, 1st, etc.)
+      // Try to extract instrument name with optional prefix (Eb, Bb, 1st, etc.) and trailing desk ("Clarinet 2")
       const patterns = [
         // "Eb Soprano" or "Bb Solo Cornets"
-        /([A-Z]b\s+)?(\d+(?:st|nd|rd|th)\s+)?([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i,
+        /([A-Z]b\s+)?(\d+(?:st|nd|rd|th)\s+)?([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)(\s+(?:\d|I{1,3}|IV)\b)?/i,
         // Just the instrument
-        /(\d+(?:st|nd|rd|th)\s+)?([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i
+        /(\d+(?:st|nd|rd|th)\s+)?([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)(\s+(?:\d|I{1,3}|IV)\b)?/i
       ];
 
       for (const pattern of patterns) {
@@ -62,31 +416,45 @@ export function detectInstrument(text) {
         if (match && instrumentKeywords.test(match[0])) {
           // Extract the full match and clean it up
           let extracted = match[0]
-            .replace(/\s*(Written|for|Funk|Better|Championships|Concert|Liam|Arranged|Pat|Metheny).*/, '')
+            .replace(CREDIT_PATTERN, '')
+            .replace(/\s+/g, ' ')
             .trim();
 
           if (extracted.length > 2 && extracted.length < 40) {
-            // First try exact match
-            const normalizedExtracted = normalizeInstrumentName(extracted);
-            const exactMatch = BRASS_BAND_INSTRUMENTS.find(
-              instrument => normalizeInstrumentName(instrument) === normalizedExtracted
-            );
-
+            // First try exact match (canonical names and aliases, also with the desk apart)
+            const exactMatch = findCatalogInstrument(extracted, catalog) || findDeskInstrument(extracted, catalog);
             if (exactMatch) {
-              return exactMatch;
+              return { name: exactMatch, confidence: 1, sourceText };
             }
 
-            // Return the extracted name if it contains an instrument keyword
-            if (instrumentKeywords.test(extracted)) {
-              return extracted.replace(/\s+/g, ' ').trim();
+            const fuzzy = fuzzyMatch(extracted, catalog);
+            if (fuzzy && fuzzy.confidence >= MIN_CONFIDENCE) {
+              consider(fuzzy.name, fuzzy.confidence, sourceText);
+            } else if (instrumentKeywords.test(extracted)) {
+              // Keep the extracted name if it contains an instrument keyword
+              consider(extracted, RAW_TEXT_CONFIDENCE, sourceText);
             }
           }
         }
       }
     }
+
+    // Fuzzy match word windows, for OCR'd names whose keyword is misspelled
+    for (const window of wordWindows(line, catalog)) {
+      const fuzzy = fuzzyMatch(window, catalog);
+      if (fuzzy && fuzzy.confidence >= WINDOW_MIN_CONFIDENCE) {
+        consider(fuzzy.name, fuzzy.confidence, sourceText);
+      }
+    }
+
+    // No catalog entry fully named: the corrected instrument word still marks a part
+    const base = matchBaseInstrument(line, catalog);
+    if (base) {
+      consider(base, BASE_INSTRUMENT_CONFIDENCE, sourceText);
+    }
   }
 
-  return null;
+  return best;
 }
 
 /**
@@ -0,0 +1,524 @@
+/**
+ * Localized instrument names (German, French, Dutch, Italian)
+ * Maps continental part names back to the English catalog names,
+ * and English names out to another language for filenames
+ */
+
+/**
+ * Languages available for output filenames
+ */
+export const FILENAME_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'fr', name: 'Français' },
+  { code: 'nl', name: 'Nederlands' },
+  { code: 'it', name: 'Italiano' }
+];
+
+/**
+ * Instrument terms per language: [english, ...localized]
+ * The first localized term is used when writing filenames, all of them are recognized
+ */
+const INSTRUMENT_TERMS = {
+  de: [
+    ['Cornet', 'Kornett'],
+    ['Soprano', 'Sopran'],
+    ['Flugelhorn', 'Flügelhorn'],
+    ['Tenor Horn', 'Althorn', 'Es-Horn'],
+    ['Baritone', 'Bariton'],
+    ['Euphonium', 'Euphonium'],
+    ['Bass Trombone', 'Bassposaune'],
+    ['Trombone', 'Posaune'],
+    ['Trumpet', 'Trompete'],
+    ['English Horn', 'Englischhorn'],
+    ['Horn', 'Horn', 'Waldhorn'],
+    ['Eb Bass', 'Es-Bass', 'Es-Tuba'],
+    ['BBb Bass', 'B-Bass', 'B-Tuba'],
+    ['Tuba', 'Tuba'],
+    ['Bass', 'Bass'],
+    ['Percussion', 'Schlagzeug', 'Schlagwerk', 'Perkussion'],
+    ['Timpani', 'Pauken', 'Pauke'],
+    ['Xylophone', 'Xylophon'],
+    ['Vibraphone', 'Vibraphon'],
+    ['Piccolo', 'Piccolo', 'Piccoloflöte'],
+    ['Flute', 'Flöte', 'Querflöte'],
+    ['Oboe', 'Oboe'],
+    ['Bass Clarinet', 'Bassklarinette'],
+    ['Clarinet', 'Klarinette'],
+    ['Contrabassoon', 'Kontrafagott'],
+    ['Bassoon', 'Fagott'],
+    ['Alto Saxophone', 'Altsaxophon'],
+    ['Tenor Saxophone', 'Tenorsaxophon'],
+    ['Baritone Saxophone', 'Baritonsaxophon'],
+    ['Saxophone', 'Saxophon'],
+    ['Violin', 'Violine', 'Geige'],
+    ['Viola', 'Bratsche'],
+    ['Cello', 'Violoncello'],
+    ['Double Bass', 'Kontrabass'],
+    ['Harp', 'Harfe'],
+    ['Piano', 'Klavier'],
+    ['Guitar', 'Gitarre'],
+    ['Alto', 'Alt'],
+    ['Conductor', 'Direktion', 'Dirigent'],
+    ['Full Score', 'Partitur']
+  ],
+
+  fr: [
+    ['Cornet', 'Cornet'],
+    ['Flugelhorn', 'Bugle'],
+    ['Baritone', 'Baryton'],
+    ['Euphonium', 'Euphonium'],
+    ['Bass Trombone', 'Trombone basse'],
+    ['Trombone', 'Trombone'],
+    ['Trumpet', 'Trompette'],
+    ['English Horn', 'Cor anglais'],
+    ['Horn', 'Cor'],
+    ['Tuba', 'Tuba'],
+    ['Bass', 'Basse'],
+    ['Percussion', 'Percussions'],
+    ['Drums', 'Batterie'],
+    ['Timpani', 'Timbales'],
+    ['Piccolo', 'Piccolo', 'Petite flûte'],
+    ['Flute', 'Flûte'],
+    ['Oboe', 'Hautbois'],
+    ['Bass Clarinet', 'Clarinette basse'],
+    ['Clarinet', 'Clarinette'],
+    ['Contrabassoon', 'Contrebasson'],
+    ['Bassoon', 'Basson'],
+    ['Alto Saxophone', 'Saxophone alto'],
+    ['Tenor Saxophone', 'Saxophone ténor'],
+    ['Baritone Saxophone', 'Saxophone baryton'],
+    ['Saxophone', 'Saxophone'],
+    ['Violin', 'Violon'],
+    ['Viola', 'Alto'],
+    ['Cello', 'Violoncelle'],
+    ['Double Bass', 'Contrebasse'],
+    ['Harp', 'Harpe'],
+    ['Guitar', 'Guitare'],
+    ['Tenor', 'Ténor'],
+    ['Conductor', 'Conducteur'],
+    ['Full Score', 'Partition']
+  ],
+
+  nl: [
+    ['Cornet', 'Cornet', 'Kornet'],
+    ['Soprano', 'Sopraan'],
+    ['Flugelhorn', 'Bugel'],
+    ['Tenor Horn', 'Althoorn'],
+    ['Baritone', 'Bariton'],
+    ['Euphonium', 'Euphonium'],
+    ['Bass Trombone', 'Bastrombone'],
+    ['Trombone', 'Trombone'],
+    ['Trumpet', 'Trompet'],
+    ['Horn', 'Hoorn'],
+    ['Eb Bass', 'Es-Bas'],
+    ['BBb Bass', 'Bes-Bas'],
+    ['Tuba', 'Tuba'],
+    ['Bass', 'Bas'],
+    ['Percussion', 'Slagwerk'],
+    ['Drums', 'Drumstel'],
+    ['Timpani', 'Pauken'],
+    ['Piccolo', 'Piccolo'],
+    ['Flute', 'Fluit', 'Dwarsfluit'],
+    ['Oboe', 'Hobo'],
+    ['Bass Clarinet', 'Basklarinet'],
+    ['Clarinet', 'Klarinet'],
+    ['Bassoon', 'Fagot'],
+    ['Alto Saxophone', 'Altsaxofoon'],
+    ['Tenor Saxophone', 'Tenorsaxofoon'],
+    ['Baritone Saxophone', 'Baritonsaxofoon'],
+    ['Saxophone', 'Saxofoon'],
+    ['Viola', 'Altviool'],
+    ['Violin', 'Viool'],
+    ['Cello', 'Cello'],
+    ['Double Bass', 'Contrabas'],
+    ['Guitar', 'Gitaar'],
+    ['Alto', 'Alt'],
+    ['Conductor', 'Directie'],
+    ['Full Score', 'Partituur']
+  ],
+
+  it: [
+    ['Cornet', 'Cornetta'],
+    ['Tenor Horn', 'Flicorno contralto'],
+    ['Baritone', 'Flicorno baritono', 'Baritono'],
+    ['Flugelhorn', 'Flicorno'],
+    ['Euphonium', 'Euphonium'],
+    ['Bass Trombone', 'Trombone basso'],
+    ['Trombone', 'Trombone'],
+    ['Trumpet', 'Tromba'],
+    ['English Horn', 'Corno inglese'],
+    ['Horn', 'Corno'],
+    ['Tuba', 'Tuba'],
+    ['Bass', 'Basso'],
+    ['Percussion', 'Percussioni'],
+    ['Drums', 'Batteria'],
+    ['Timpani', 'Timpani'],
+    ['Piccolo', 'Ottavino'],
+    ['Flute', 'Flauto'],
+    ['Oboe', 'Oboe'],
+    ['Bass Clarinet', 'Clarinetto basso'],
+    ['Clarinet', 'Clarinetto'],
+    ['Contrabassoon', 'Controfagotto'],
+    ['Bassoon', 'Fagotto'],
+    ['Alto Saxophone', 'Sassofono contralto'],
+    ['Tenor Saxophone', 'Sassofono tenore'],
+    ['Baritone Saxophone', 'Sassofono baritono'],
+    ['Saxophone', 'Sassofono'],
+    ['Violin', 'Violino'],
+    ['Cello', 'Violoncello'],
+    ['Double Bass', 'Contrabbasso'],
+    ['Harp', 'Arpa'],
+    ['Piano', 'Pianoforte'],
+    ['Guitar', 'Chitarra'],
+    ['Alto', 'Contralto'],
+    ['Tenor', 'Tenore'],
+    ['Solo', 'Solista'],
+    ['Conductor', 'Direttore'],
+    ['Full Score', 'Partitura']
+  ]
+};
+
+/**
+ * Note names used for transpositions ("in B", "en Mib"), keyed by English name
+ */
+const NOTE_NAMES = {
+  de: { Bb: 'B', Eb: 'Es', Ab: 'As', Db: 'Des', Gb: 'Ges', C: 'C', D: 'D', E: 'E', F: 'F', G: 'G', A: 'A', B: 'H' },
+  fr: { Bb: 'Sib', Eb: 'Mib', Ab: 'Lab', Db: 'Réb', Gb: 'Solb', C: 'Ut', D: 'Ré', E: 'Mi', F: 'Fa', G: 'Sol', A: 'La', B: 'Si' },
+  nl: { Bb: 'Bes', Eb: 'Es', Ab: 'As', Db: 'Des', Gb: 'Ges', C: 'C', D: 'D', E: 'E', F: 'F', G: 'G', A: 'A', B: 'B' },
+  it: { Bb: 'Sib', Eb: 'Mib', Ab: 'Lab', Db: 'Reb', Gb: 'Solb', C: 'Do', D: 'Re', E: 'Mi', F: 'Fa', G: 'Sol', A: 'La', B: 'Si' }
+};
+
+// Preposition before the key in each language ("Tuba en Mib", "Trompete in B")
+const KEY_PREPOSITIONS = { de: 'in', fr: 'en', nl: 'in', it: 'in' };
+
+// Clefs printed with a part name, after accents are removed ("Bassschlüssel", "clé de fa")
+// Abbreviations are matched in capitals only ("B.C.", "TC")
+const CLEF_PATTERNS = [
+  { clef: 'treble clef', pattern: /\b(?:treble\s+clef|violinschlussel|cle\s+de\s+sol|vioolsleutel|chiave\s+di\s+violino)\b/i, abbreviation: /\b(?:T\.\s?C\.?|TC)(?![A-Za-z])/ },
+  { clef: 'bass clef', pattern: /\b(?:bass\s+clef|bassschlussel|cle\s+de\s+fa|bassleutel|sleutel\s+van\s+fa|chiave\s+di\s+basso)\b/i, abbreviation: /\b(?:B\.\s?C\.?|BC)(?![A-Za-z])/ }
+];
+
+// A key written in front of the instrument: "Eb Bass", "BBb Tuba" (capital letter, case-sensitive)
+// Natural keys only before the instruments that use them, "A" is more often a word ("A Little Prayer")
+const KEY_PREFIX_PATTERN = /(?:^|\s)(?:B?([A-G]b)\s+(?=[A-Za-z]{3,})|([A-G])\s+(?=(?:[Hh]orn|[Tt]rumpet|[Cc]larinet|[Cc]ornet|[Tt]uba)\b))/;
+
+// Languages that put "Solo" after the instrument ("Cornet Solo")
+const SOLO_AFTER = ['fr', 'it'];
+
+// Ordinal words, mapped to their number
+const ORDINAL_WORDS = {
+  erste: 1, erster: 1, ersten: 1, zweite: 2, zweiter: 2, zweiten: 2,
+  dritte: 3, dritter: 3, dritten: 3, vierte: 4, vierter: 4, vierten: 4,
+  premier: 1, premiere: 1, deuxieme: 2, seconde: 2, troisieme: 3, quatrieme: 4,
+  eerste: 1, tweede: 2, derde: 3, vierde: 4,
+  primo: 1, prima: 1, secondo: 2, seconda: 2, terzo: 3, terza: 3, quarto: 4, quarta: 4
+};
+
+const ROMAN_NUMERALS = { i: 1, ii: 2, iii: 3, iv: 4 };
+
+/**
+ * Remove accents and umlauts ("Flügelhorn" → "Flugelhorn", "Ténor" → "Tenor")
+ */
+export function foldAccents(text) {
+  return text
+    .replace(/♭/g, 'b')
+    .replace(/♯/g, '#')
+    .replace(/œ/g, 'oe')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * English ordinal for a number (1 → "1st", 2 → "2nd", ...)
+ */
+export function toOrdinal(number) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = number % 100;
+  const suffix = (lastTwo >= 11 && lastTwo <= 13) ? 'th' : (suffixes[number % 10] || 'th');
+  return `${number}${suffix}`;
+}
+
+// Lazily built lookup tables
+let recognition = null;
+
+/**
+ * Build the recognition tables (localized term → English) from all languages
+ */
+function getRecognition() {
+  if (recognition) {
+    return recognition;
+  }
+
+  // Terms that are also English words are left alone ("Horn", "Tuba", French "Alto")
+  const englishTerms = new Set();
+  for (const terms of Object.values(INSTRUMENT_TERMS)) {
+    terms.forEach(([english]) => englishTerms.add(foldAccents(english).toLowerCase()));
+  }
+
+  const termMap = {};
+  for (const terms of Object.values(INSTRUMENT_TERMS)) {
+    for (const [english, ...localized] of terms) {
+      for (const term of localized) {
+        const key = foldAccents(term).toLowerCase();
+        if (!englishTerms.has(key) && !termMap[key]) {
+          termMap[key] = english;
+        }
+      }
+    }
+  }
+
+  const noteMap = {};
+  for (const names of Object.values(NOTE_NAMES)) {
+    for (const [english, localized] of Object.entries(names)) {
+      const key = foldAccents(localized).toLowerCase();
+      if (!noteMap[key]) {
+        noteMap[key] = english;
+      }
+    }
+  }
+  // English spellings ("in Eb", "in Bb") are recognized too
+  for (const english of Object.keys(NOTE_NAMES.de)) {
+    const key = english.toLowerCase();
+    if (!noteMap[key]) {
+      noteMap[key] = english;
+    }
+  }
+
+  // Longest terms first so "Bassposaune" wins over "Posaune"
+  const sortedTerms = Object.keys(termMap).sort((a, b) => b.length - a.length);
+  const sortedNotes = Object.keys(noteMap).sort((a, b) => b.length - a.length);
+
+  recognition = {
+    termMap,
+    noteMap,
+    termPattern: new RegExp(`(^|[^a-z])(${sortedTerms.map(escapeRegExp).join('|')})(?=$|[^a-z])`, 'gi'),
+    keyPattern: new RegExp(`\\b(?:in|en)\\s+(${sortedNotes.map(escapeRegExp).join('|')})(?=$|[^a-z#])`, 'i'),
+    // French/Italian key names are distinctive enough to appear without a preposition ("Tuba Mib")
+    bareKeyPattern: /\b(sib|mib|lab)\b/i,
+    keywordPattern: new RegExp(
+      sortedTerms.filter(term => term.length >= 4).map(escapeRegExp).join('|'),
+      'i'
+    )
+  };
+  return recognition;
+}
+
+/**
+ * Get a regex matching localized instrument words (used to spot part names in a line)
+ * Matches inside compound words too ("Bassposaune")
+ */
+export function getLocalizedKeywordPattern() {
+  return getRecognition().keywordPattern;
+}
+
+/**
+ * Translate a part name into English candidate names
+ *
+ * Handles localized instrument words ("Posaune" → "Trombone"), keys
+ * ("Tuba en Mib" → "Eb Tuba"), ordinals ("Posaune 1", "1. Posaune" → "1st Trombone")
+ * and trailing "Solo" ("Cornet Solo" → "Solo Cornet").
+ *
+ * @param {string} text - Part name as printed
+ * @returns {Array<string>} Candidate English names, most likely first (never empty)
+ */
+export function translateInstrumentText(text) {
+  const { termMap, noteMap, termPattern, keyPattern, bareKeyPattern } = getRecognition();
+  let localized = false;
+
+  // Instrument words
+  let english = foldAccents(text).replace(termPattern, (match, prefix, term) => {
+    localized = true;
+    return prefix + termMap[term.toLowerCase()];
+  });
+
+  // Key / transposition
+  let key = null;
+  let keyWasLocalized = false;
+  const keyMatch = english.match(keyPattern) || english.match(bareKeyPattern);
+  if (keyMatch) {
+    key = noteMap[keyMatch[1].toLowerCase()];
+    keyWasLocalized = keyMatch[1] !== key;
+    english = english.replace(keyMatch[0], ' ');
+  }
+
+  // Leading localized ordinal ("1. Posaune", "2e Trombone", "Zweite Posaune")
+  english = english.replace(/^\s*(\d+)(?:\.|e|de|er|re|eme|ere|ste|°|º|ª)\s+/i, (match, number) => {
+    localized = true;
+    return `${toOrdinal(parseInt(number))} `;
+  });
+  english = english.replace(/^\s*([a-z]+)\s+/i, (match, word) => {
+    const number = ORDINAL_WORDS[word.toLowerCase()];
+    if (!number) {
+      return match;
+    }
+    localized = true;
+    return `${toOrdinal(number)} `;
+  });
+
+  english = english.replace(/\s+/g, ' ').trim();
+
+  // Trailing "Solo" ("Cornet Solo" → "Solo Cornet")
+  let solo = false;
+  const soloMatch = english.match(/^(.+?)\s+solo$/i);
+  if (soloMatch) {
+    solo = true;
+    english = soloMatch[1];
+  }
+
+  // Trailing number ("Posaune 1", "Trombone II")
+  let bodies = [english];
+  const numberMatch = english.match(/^(.+?)\s+(\d+|i{1,3}|iv)\.?$/i);
+  if (numberMatch) {
+    const number = parseInt(numberMatch[2]) || ROMAN_NUMERALS[numberMatch[2].toLowerCase()];
+    const ordinalForm = `${toOrdinal(number)} ${numberMatch[1]}`;
+    bodies = localized ? [ordinalForm, english] : [english, ordinalForm];
+  }
+
+  if (solo) {
+    bodies = bodies.flatMap(body => [`Solo ${body}`, `${body} Solo`]);
+  }
+
+  let candidates = bodies;
+  if (key) {
+    candidates = bodies.flatMap(body => keyWasLocalized
+      ? [`${key} ${body}`, `${body} in ${key}`, body]
+      : [`${body} in ${key}`, `${key} ${body}`, body]);
+  }
+
+  const unique = [...new Set(candidates.filter(candidate => candidate.length > 0))];
+  return unique.length > 0 ? unique : [english];
+}
+
+/**
+ * Read the key and clef a part is written in from its printed name
+ * "Trombone in B♭ (treble clef)" → "Bb treble clef", "Tuba en Mib" → "Eb", "BBb Bass" → "Bb",
+ * "Posaune 1 Bassschlüssel" → "bass clef"
+ *
+ * @param {string} text - Part name as printed
+ * @returns {string|null} Key in English ("Bb", "Eb", "F") and/or clef ("treble clef", "bass clef"),
+ *   null when neither is printed
+ */
+export function parseTransposition(text) {
+  if (!text) {
+    return null;
+  }
+  const { noteMap, keyPattern, bareKeyPattern } = getRecognition();
+  const folded = foldAccents(text);
+
+  let key = null;
+  const keyMatch = folded.match(keyPattern) || folded.match(bareKeyPattern);
+  if (keyMatch) {
+    key = noteMap[keyMatch[1].toLowerCase()];
+  } else {
+    const prefixMatch = folded.match(KEY_PREFIX_PATTERN);
+    if (prefixMatch) {
+      key = prefixMatch[1] || prefixMatch[2];
+    }
+  }
+
+  const clef = CLEF_PATTERNS.find(({ pattern, abbreviation }) => pattern.test(folded) || abbreviation.test(folded));
+
+  const transposition = [key, clef && clef.clef].filter(Boolean).join(' ');
+  return transposition || null;
+}
+
+/**
+ * Remove the key and clef from a part name, the text parseTransposition reads them from
+ * "Trombone in B♭ (T.C.)" → "Trombone", "Tuba Mib" → "Tuba"; a key in front of the
+ * instrument is part of its name and stays ("Eb Bass")
+ * @param {string} text - Part name as typed or printed
+ * @returns {string} The name without key and clef, accents left as they were
+ */
+export function stripTransposition(text) {
+  const { keyPattern, bareKeyPattern } = getRecognition();
+  // Folded one character at a time, so positions in the folded text are positions in the text
+  let folded = [...text].map(char => (foldAccents(char).length === 1 ? foldAccents(char) : char)).join('');
+  let stripped = text;
+
+  const patterns = [keyPattern, bareKeyPattern, ...CLEF_PATTERNS.flatMap(({ pattern, abbreviation }) => [pattern, abbreviation])];
+  patterns.forEach(pattern => {
+    const match = folded.match(pattern);
+    if (match) {
+      const end = match.index + match[0].length;
+      folded = folded.slice(0, match.index) + folded.slice(end);
+      stripped = stripped.slice(0, match.index) + stripped.slice(end);
+    }
+  });
+
+  return stripped
+    .replace(/\(\s*\)|\[\s*\]/g, '') // Brackets the clef was in: "(T.C.)"
+    .replace(/[\s,;:–-]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Write an English instrument name in another language (for filenames)
+ * e.g. "1st Trombone" → "Posaune 1" (de), "Solo Cornet" → "Cornet Solo" (fr)
+ *
+ * @param {string} name - English instrument name
+ * @param {string} lang - Language code from FILENAME_LANGUAGES
+ * @returns {string} Localized name (unchanged for English or unknown languages)
+ */
+export function localizeInstrumentName(name, lang) {
+  const terms = INSTRUMENT_TERMS[lang];
+  if (!terms) {
+    return name;
+  }
+
+  let text = name.trim();
+
+  // Leading ordinal → trailing number
+  let number = null;
+  const ordinalMatch = text.match(/^(\d+)(?:st|nd|rd|th)\s+/i);
+  if (ordinalMatch) {
+    number = ordinalMatch[1];
+    text = text.slice(ordinalMatch[0].length);
+  }
+
+  // Key as prefix ("Eb Bass") or suffix ("Soprano Cornet in Eb")
+  let key = null;
+  const keySuffix = text.match(/\s+in\s+([A-G](?:b|♭)?)$/);
+  const keyPrefix = text.match(/^(?:B(?=B))?([A-G](?:b|♭)?)\s+/);
+  if (keySuffix) {
+    key = keySuffix[1];
+    text = text.slice(0, keySuffix.index);
+  } else if (keyPrefix) {
+    key = keyPrefix[1];
+    text = text.slice(keyPrefix[0].length);
+  }
+
+  // "Solo" moves after the instrument in some languages
+  let solo = false;
+  if (SOLO_AFTER.includes(lang) && /^solo\s+/i.test(text)) {
+    solo = true;
+    text = text.replace(/^solo\s+/i, '');
+  }
+
+  // Instrument words, longest English phrase first
+  const outputMap = {};
+  terms.forEach(([english, localizedTerm]) => {
+    outputMap[english.toLowerCase()] = localizedTerm;
+  });
+  const phrases = Object.keys(outputMap).sort((a, b) => b.length - a.length);
+  const phrasePattern = new RegExp(`\\b(${phrases.map(escapeRegExp).join('|')})\\b`, 'gi');
+  text = text.replace(phrasePattern, (match) => outputMap[match.toLowerCase()]);
+
+  if (solo) {
+    text += ` ${outputMap.solo || 'Solo'}`;
+  }
+  if (number) {
+    text += ` ${number}`;
+  }
+  if (key) {
+    const note = NOTE_NAMES[lang][key.replace('♭', 'b')] || key;
+    text += ` ${KEY_PREPOSITIONS[lang]} ${note}`;
+  }
+
+  return text;
+}
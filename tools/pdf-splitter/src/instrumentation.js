@@ -0,0 +1,142 @@
+/**
+ * Expected instrumentation: the parts a full set should contain, to check the
+ * detected splits for missing, duplicate and unexpected parts
+ *
+ * Written one part per line (or separated by ";"):
+ *   4x Solo Cornet                  (players on the part, 1 when left out)
+ *   Flugelhorn | Flugel             (any of these names counts as the part)
+ */
+
+import { normalizeInstrumentName } from './instruments.js';
+import { getSplitInstruments } from './pdf-splitter.js';
+
+// Standard instrumentations by catalog id; the other ensembles vary too much for a default
+// Full brass band: 25 players plus percussion
+export const DEFAULT_INSTRUMENTATIONS = {
+  'brass-band': [
+    'Soprano Cornet',
+    '4x Solo Cornet',
+    'Repiano Cornet | Repiano',
+    '2x 2nd Cornet',
+    '2x 3rd Cornet',
+    'Flugelhorn | Flugel | Flugel Horn',
+    'Solo Horn | Solo Tenor Horn',
+    '1st Horn | 1st Tenor Horn',
+    '2nd Horn | 2nd Tenor Horn',
+    '1st Baritone',
+    '2nd Baritone',
+    '1st Trombone',
+    '2nd Trombone',
+    'Bass Trombone',
+    '2x Euphonium | Solo Euphonium',
+    '2x Eb Bass | Eb Tuba',
+    '2x BBb Bass | BBb Tuba | Tuba',
+    'Percussion | Timpani | Drums | Bass Drum | Snare Drum | Cymbals | Glockenspiel | Xylophone | Vibraphone'
+  ].join('\n'),
+  choir: ['Soprano', 'Alto', 'Tenor', 'Bass'].join('\n')
+};
+
+// Parts that belong to any set without being a player's part
+const SCORE_PARTS = ['score', 'full score', 'conductor'];
+
+// "4x Solo Cornet", "2 × Eb Bass"
+const PLAYERS_PATTERN = /^(\d+)\s*[x×]\s*(.+)$/i;
+
+/**
+ * Normalize a part name for comparison: "First Horn" = "1st Horn", "Percussion II" = "Percussion 2"
+ */
+function normalizePartName(name) {
+  return normalizeInstrumentName(name)
+    .replace(/\bfirst\b/g, '1st')
+    .replace(/\bsecond\b/g, '2nd')
+    .replace(/\bthird\b/g, '3rd')
+    .replace(/\s(i{1,3})$/, (match, roman) => ` ${roman.length}`)
+    .replace(/\siv$/, ' 4');
+}
+
+/**
+ * A part name without its desk number: "1st Euphonium" and "Solo Cornet 2" → "euphonium", "solo cornet"
+ */
+function stripDesk(normalized) {
+  return normalized.replace(/^\d(?:st|nd|rd|th)\s+/, '').replace(/\s+\d$/, '');
+}
+
+/**
+ * Parse an instrumentation text
+ * @param {string} text - One part per line or separated by ";"
+ * @returns {Array<{name: string, names: string[], players: number}>} name is the first of the
+ *   accepted names
+ */
+export function parseInstrumentation(text) {
+  return text
+    .split(/[;\n]/)
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const match = entry.match(PLAYERS_PATTERN);
+      const names = (match ? match[2] : entry).split('|').map(name => name.trim()).filter(Boolean);
+      return { name: names[0], names, players: match ? Math.max(1, parseInt(match[1], 10)) : 1 };
+    })
+    .filter(part => part.name);
+}
+
+/**
+ * Whether a detected name is an expected part
+ * Parts with several players also take numbered desks ("1st Euphonium", "Solo Cornet 2")
+ */
+function matchesPart(name, part) {
+  const normalized = normalizePartName(name);
+  return part.names.some(partName => {
+    const expected = normalizePartName(partName);
+    return normalized === expected || (part.players > 1 && stripDesk(normalized) === expected);
+  });
+}
+
+/**
+ * Compare the splits with an expected instrumentation
+ * Every instrument of a combined part counts, score and conductor parts are never unexpected
+ * A part in two keys or clefs (a treble and a bass clef 1st Trombone) is two versions, not a duplicate
+ * @param {Array} splits - Current splits
+ * @param {Array} instrumentation - Expected parts from parseInstrumentation
+ * @returns {{found: Array, missing: Array, duplicates: Array, unexpected: Array}}
+ *   found: [{part, splits}], missing: [part], duplicates and unexpected: [{name, key, splits}];
+ *   splits are indices into the split list, key is the split's key or null
+ */
+export function checkInstrumentation(splits, instrumentation) {
+  const byName = new Map(); // Normalized name and key → {name, key, splits}
+  splits.forEach((split, index) => {
+    getSplitInstruments(split).forEach(name => {
+      const id = `${normalizePartName(name)}|${split.key || ''}`;
+      if (!byName.has(id)) {
+        byName.set(id, { name, key: split.key || null, splits: [] });
+      }
+      if (!byName.get(id).splits.includes(index)) {
+        byName.get(id).splits.push(index);
+      }
+    });
+  });
+  const detected = [...byName.values()];
+
+  const found = [];
+  const missing = [];
+  instrumentation.forEach(part => {
+    const partSplits = detected
+      .filter(entry => matchesPart(entry.name, part))
+      .flatMap(entry => entry.splits);
+    if (partSplits.length > 0) {
+      found.push({ part, splits: [...new Set(partSplits)].sort((a, b) => a - b) });
+    } else {
+      missing.push(part);
+    }
+  });
+
+  return {
+    found,
+    missing,
+    duplicates: detected.filter(entry => entry.splits.length > 1),
+    unexpected: detected.filter(entry =>
+      !SCORE_PARTS.includes(normalizePartName(entry.name)) &&
+      !instrumentation.some(part => matchesPart(entry.name, part))
+    )
+  };
+}
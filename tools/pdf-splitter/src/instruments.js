@@ -1,6 +1,10 @@
+/**
+ * Instrument catalogs for the supported ensemble types
+ * Each list is organized by section, in score order: score-order.js sorts parts by it
+ */
+
 /**
  * Standard brass band instrument names
- * Organized by section for reference
  */
 
 export const BRASS_BAND_INSTRUMENTS = [
@@ -99,6 +103,452 @@ export const BRASS_BAND_INSTRUMENTS = [
   'Full Score'
 ];
 
+/**
+ * Concert band / wind band instrument names
+ */
+export const WIND_BAND_INSTRUMENTS = [
+  // Woodwinds
+  'Piccolo',
+  'Flute',
+  '1st Flute',
+  '2nd Flute',
+  'Oboe',
+  '1st Oboe',
+  '2nd Oboe',
+  'English Horn',
+  'Bassoon',
+  '1st Bassoon',
+  '2nd Bassoon',
+  'Eb Clarinet',
+  'E♭ Clarinet',
+  'Clarinet',
+  'Solo Clarinet',
+  '1st Clarinet',
+  '2nd Clarinet',
+  '3rd Clarinet',
+  'Alto Clarinet',
+  'Bass Clarinet',
+  'Contrabass Clarinet',
+  'Soprano Saxophone',
+  'Alto Saxophone',
+  '1st Alto Saxophone',
+  '2nd Alto Saxophone',
+  'Tenor Saxophone',
+  'Baritone Saxophone',
+
+  // Brass
+  'Trumpet',
+  'Bb Trumpet',
+  'B♭ Trumpet',
+  '1st Trumpet',
+  '2nd Trumpet',
+  '3rd Trumpet',
+  'Cornet',
+  '1st Cornet',
+  '2nd Cornet',
+  '3rd Cornet',
+  'Flugelhorn',
+  'Horn',
+  'Horn in F',
+  '1st Horn',
+  '2nd Horn',
+  '3rd Horn',
+  '4th Horn',
+  'Trombone',
+  '1st Trombone',
+  '2nd Trombone',
+  '3rd Trombone',
+  'Bass Trombone',
+  'Euphonium',
+  'Baritone',
+  'Tuba',
+  'String Bass',
+
+  // Percussion
+  'Timpani',
+  'Percussion',
+  'Percussion 1',
+  'Percussion 2',
+  'Mallet Percussion',
+  'Glockenspiel',
+  'Xylophone',
+  'Drum Set',
+
+  // Other
+  'Piano',
+  'Harp',
+  'Conductor',
+  'Score',
+  'Full Score'
+];
+
+/**
+ * Symphony orchestra instrument names
+ */
+export const ORCHESTRA_INSTRUMENTS = [
+  // Woodwinds
+  'Piccolo',
+  'Flute',
+  '1st Flute',
+  '2nd Flute',
+  'Oboe',
+  '1st Oboe',
+  '2nd Oboe',
+  'Cor Anglais',
+  'Clarinet',
+  '1st Clarinet',
+  '2nd Clarinet',
+  'Bass Clarinet',
+  'Bassoon',
+  '1st Bassoon',
+  '2nd Bassoon',
+  'Contrabassoon',
+
+  // Brass
+  'Horn',
+  'Horn in F',
+  '1st Horn',
+  '2nd Horn',
+  '3rd Horn',
+  '4th Horn',
+  'Trumpet',
+  '1st Trumpet',
+  '2nd Trumpet',
+  '3rd Trumpet',
+  'Trombone',
+  '1st Trombone',
+  '2nd Trombone',
+  'Bass Trombone',
+  'Tuba',
+
+  // Percussion and keyboards
+  'Timpani',
+  'Percussion',
+  'Harp',
+  'Celesta',
+  'Piano',
+
+  // Strings
+  'Violin',
+  'Violin I',
+  '1st Violin',
+  'Violin II',
+  '2nd Violin',
+  'Viola',
+  'Cello',
+  'Violoncello',
+  'Double Bass',
+  'Contrabass',
+
+  // Other
+  'Conductor',
+  'Score',
+  'Full Score'
+];
+
+/**
+ * Big band / jazz ensemble instrument names
+ */
+export const BIG_BAND_INSTRUMENTS = [
+  // Saxophones
+  'Alto Sax',
+  '1st Alto Sax',
+  '2nd Alto Sax',
+  'Alto Saxophone',
+  'Tenor Sax',
+  '1st Tenor Sax',
+  '2nd Tenor Sax',
+  'Tenor Saxophone',
+  'Baritone Sax',
+  'Baritone Saxophone',
+
+  // Trumpets
+  'Trumpet',
+  '1st Trumpet',
+  '2nd Trumpet',
+  '3rd Trumpet',
+  '4th Trumpet',
+  'Lead Trumpet',
+
+  // Trombones
+  'Trombone',
+  '1st Trombone',
+  '2nd Trombone',
+  '3rd Trombone',
+  '4th Trombone',
+  'Bass Trombone',
+
+  // Rhythm section
+  'Piano',
+  'Guitar',
+  'Bass',
+  'Double Bass',
+  'Electric Bass',
+  'Drums',
+  'Drum Set',
+  'Vibraphone',
+  'Percussion',
+  'Vocal',
+
+  // Other
+  'Conductor',
+  'Score',
+  'Full Score'
+];
+
+/**
+ * Choir voice names
+ */
+export const CHOIR_INSTRUMENTS = [
+  'Soprano',
+  'Soprano 1',
+  'Soprano 2',
+  'Mezzo-Soprano',
+  'Alto',
+  'Alto 1',
+  'Alto 2',
+  'Tenor',
+  'Tenor 1',
+  'Tenor 2',
+  'Baritone',
+  'Bass',
+  'Bass 1',
+  'Bass 2',
+  'Solo',
+  'Piano',
+  'Accompaniment',
+  'Organ',
+  'Conductor',
+  'Score',
+  'Full Score'
+];
+
+/**
+ * Available instrument catalogs, keyed by id
+ * - instruments: canonical names used for exact matching and fuzzy search
+ * - aliases: abbreviations and alternate spellings, mapped to a canonical name
+ * - keywords: words that mark a line of text as a part name
+ */
+export const CATALOGS = {
+  'brass-band': {
+    id: 'brass-band',
+    name: 'Brass Band',
+    instruments: BRASS_BAND_INSTRUMENTS,
+    aliases: {
+      'Sop Cornet': 'Soprano Cornet',
+      'Eb Soprano': 'Soprano Cornet',
+      'Eb Soprano Cornet': 'Soprano Cornet',
+      'Solo Cnt': 'Solo Cornet',
+      'Bb Solo Cornet': 'Solo Cornet',
+      'Rep Cornet': 'Repiano Cornet',
+      'Ripiano Cornet': 'Repiano Cornet',
+      'Bb Repiano Cornet': 'Repiano Cornet',
+      'Flugal': 'Flugel',
+      'Eb Tenor Horn': 'Tenor Horn',
+      'Bari': 'Baritone',
+      'Bass Trom': 'Bass Trombone',
+      'Euph': 'Euphonium',
+      'Perc': 'Percussion',
+      'Timps': 'Timpani',
+      'Kit': 'Drums',
+      'Drum Kit': 'Drums'
+    },
+    keywords: [
+      'soprano', 'cornet', 'repiano', 'flugel', 'horn', 'baritone', 'trombone',
+      'euphonium', 'bass', 'tuba', 'percussion', 'timpani'
+    ]
+  },
+
+  'wind-band': {
+    id: 'wind-band',
+    name: 'Wind Band',
+    instruments: WIND_BAND_INSTRUMENTS,
+    aliases: {
+      'Picc': 'Piccolo',
+      'Fl': 'Flute',
+      'Cor Anglais': 'English Horn',
+      'Bsn': 'Bassoon',
+      'Clar': 'Clarinet',
+      'Bb Clarinet': 'Clarinet',
+      'B♭ Clarinet': 'Clarinet',
+      'Bass Clar': 'Bass Clarinet',
+      'Alto Sax': 'Alto Saxophone',
+      'Tenor Sax': 'Tenor Saxophone',
+      'Bari Sax': 'Baritone Saxophone',
+      'Baritone Sax': 'Baritone Saxophone',
+      'Tpt': 'Trumpet',
+      'F Horn': 'Horn in F',
+      'Tbn': 'Trombone',
+      'Euph': 'Euphonium',
+      'Double Bass': 'String Bass',
+      'Perc': 'Percussion',
+      'Mallets': 'Mallet Percussion',
+      'Drum Kit': 'Drum Set'
+    },
+    keywords: [
+      'piccolo', 'flute', 'oboe', 'english horn', 'bassoon', 'clarinet', 'sax',
+      'trumpet', 'cornet', 'flugel', 'horn', 'trombone', 'euphonium', 'baritone',
+      'tuba', 'bass', 'timpani', 'percussion', 'mallet', 'glockenspiel',
+      'xylophone', 'drum', 'piano', 'harp'
+    ]
+  },
+
+  orchestra: {
+    id: 'orchestra',
+    name: 'Orchestra',
+    instruments: ORCHESTRA_INSTRUMENTS,
+    aliases: {
+      'English Horn': 'Cor Anglais',
+      'Fl': 'Flute',
+      'Ob': 'Oboe',
+      'Cl': 'Clarinet',
+      'Bsn': 'Bassoon',
+      'Cbsn': 'Contrabassoon',
+      'F Horn': 'Horn in F',
+      'Tpt': 'Trumpet',
+      'Tbn': 'Trombone',
+      'Timp': 'Timpani',
+      'Perc': 'Percussion',
+      'Vln': 'Violin',
+      'Violin 1': 'Violin I',
+      'Violin 2': 'Violin II',
+      'Vla': 'Viola',
+      'Vc': 'Cello',
+      'Cb': 'Double Bass',
+      'String Bass': 'Double Bass'
+    },
+    keywords: [
+      'piccolo', 'flute', 'oboe', 'anglais', 'english horn', 'clarinet', 'bassoon',
+      'horn', 'trumpet', 'trombone', 'tuba', 'timpani', 'percussion', 'harp',
+      'celesta', 'piano', 'violin', 'viola', 'cello', 'bass'
+    ]
+  },
+
+  'big-band': {
+    id: 'big-band',
+    name: 'Big Band',
+    instruments: BIG_BAND_INSTRUMENTS,
+    aliases: {
+      'Alto Saxophone 1': '1st Alto Sax',
+      'Alto Saxophone 2': '2nd Alto Sax',
+      'Tenor Saxophone 1': '1st Tenor Sax',
+      'Tenor Saxophone 2': '2nd Tenor Sax',
+      'Bari Sax': 'Baritone Sax',
+      'Tpt': 'Trumpet',
+      'Tbn': 'Trombone',
+      'Gtr': 'Guitar',
+      'Upright Bass': 'Double Bass',
+      'Bass Guitar': 'Electric Bass',
+      'Drum Kit': 'Drums',
+      'Vibes': 'Vibraphone',
+      'Vocals': 'Vocal',
+      'Voice': 'Vocal'
+    },
+    keywords: [
+      'sax', 'trumpet', 'trombone', 'piano', 'guitar', 'bass', 'drum',
+      'vibraphone', 'vibes', 'percussion', 'vocal', 'voice'
+    ]
+  },
+
+  choir: {
+    id: 'choir',
+    name: 'Choir',
+    instruments: CHOIR_INSTRUMENTS,
+    aliases: {
+      'Sop': 'Soprano',
+      'Mezzo': 'Mezzo-Soprano',
+      'Contralto': 'Alto',
+      'Ten': 'Tenor',
+      'Bar': 'Baritone',
+      'Acc': 'Accompaniment',
+      'Piano Accompaniment': 'Accompaniment'
+    },
+    keywords: [
+      'soprano', 'mezzo', 'alto', 'tenor', 'baritone', 'bass', 'solo',
+      'piano', 'accompaniment', 'organ', 'voice'
+    ]
+  }
+};
+
+export const DEFAULT_CATALOG_ID = 'brass-band';
+
+/**
+ * Get a catalog by id, falling back to the default (brass band) catalog
+ */
+export function getCatalog(id) {
+  return CATALOGS[id] || CATALOGS[DEFAULT_CATALOG_ID];
+}
+
+/**
+ * List available catalogs as {id, name} pairs (for the catalog picker)
+ */
+export function getCatalogList() {
+  return Object.values(CATALOGS).map(({ id, name }) => ({ id, name }));
+}
+
+// Compiled keyword regexes, cached per catalog id
+const keywordPatterns = {};
+
+/**
+ * Get a case-insensitive regex matching any keyword of a catalog
+ */
+export function getKeywordPattern(catalog) {
+  if (!keywordPatterns[catalog.id]) {
+    keywordPatterns[catalog.id] = new RegExp(catalog.keywords.join('|'), 'i');
+  }
+  return keywordPatterns[catalog.id];
+}
+
+/**
+ * Find the canonical instrument name for a text, using exact names and aliases
+ * @param {string} name - Candidate instrument name
+ * @param {Object} catalog - Catalog from CATALOGS
+ * @returns {string|null} Canonical name or null if not in the catalog
+ */
+export function findCatalogInstrument(name, catalog) {
+  const normalized = normalizeInstrumentName(name);
+
+  const exactMatch = catalog.instruments.find(
+    instrument => normalizeInstrumentName(instrument) === normalized
+  );
+  if (exactMatch) {
+    return exactMatch;
+  }
+
+  const alias = Object.keys(catalog.aliases).find(
+    aliasName => normalizeInstrumentName(aliasName) === normalized
+  );
+  return alias ? catalog.aliases[alias] : null;
+}
+
+/**
+ * Suggest catalog instruments for a partially typed name (for autocomplete)
+ * Names starting with the text come first, then names containing it
+ * @returns {string[]} Up to `limit` canonical names
+ */
+export function suggestInstruments(text, catalog, limit = 8) {
+  const query = normalizeInstrumentName(text);
+  if (query.length === 0) {
+    return [];
+  }
+
+  const prefixMatches = [];
+  const otherMatches = [];
+  const seen = new Set(); // "E♭ Bass" and "Eb Bass" are the same suggestion
+  for (const instrument of catalog.instruments) {
+    const normalized = normalizeInstrumentName(instrument);
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+
+    if (normalized.startsWith(query)) {
+      prefixMatches.push(instrument);
+    } else if (normalized.includes(query)) {
+      otherMatches.push(instrument);
+    }
+  }
+  return [...prefixMatches, ...otherMatches].slice(0, limit);
+}
+
 /**
  * Get a normalized version of an instrument name for comparison
  */
@@ -2,8 +2,19 @@
  * Main application logic
  */
 
-import { loadPDF } from './pdf-processor.js';
-import { analyzePDF, generateSplitPDFs } from './pdf-splitter.js';
+import { loadPDF, renderPageToCanvas, getPageThumbnail } from './pdf-processor.js';
+import { LOW_CONFIDENCE, resolveInstrumentNames } from './instrument-detector.js';
+import { DEFAULT_CATALOG_ID, getCatalog, getCatalogList, suggestInstruments } from './instruments.js';
+import { FILENAME_LANGUAGES, parseTransposition } from './instrument-translations.js';
+import { getDefaultOCRWorkerCount } from './ocr-pool.js';
+import { addOutputPages, getSplitInstruments, nameOutputFiles, DEFAULT_FILENAME_TEMPLATE } from './pdf-splitter.js';
+import { composeSection, getSectionHalves, joinSplitPages } from './page-sections.js';
+import { parseSplitDefinition, getNameFragment } from './range-parser.js';
+import { extractPieceInfo, getPieceBaseFilename, setPieceMetadata, setPartMetadata } from './piece-info.js';
+import { createSplitPlan, parseSplitPlan, getPlanSplits, hashFile } from './split-plan.js';
+import { DEFAULT_INSTRUMENTATIONS, parseInstrumentation, checkInstrumentation } from './instrumentation.js';
+import { getScoreRank, sortByScoreOrder } from './score-order.js';
+import { renderFilename, loadFilenameTemplate, saveFilenameTemplate } from '../../../filename-template.js';
 import { t } from '../../../i18n.js';
 
 // State
@@ -12,6 +23,37 @@ let currentFile = null;
 let detectedSplits = [];
 let generatedPDFs = [];
 let thumbnailCache = {}; // Cache thumbnails by page number
+let selectedCatalogId = getCatalog(localStorage.getItem('partkit-splitter-catalog') || DEFAULT_CATALOG_ID).id;
+let filenameLanguage = localStorage.getItem('partkit-splitter-filename-lang') || 'en';
+let numberFiles = localStorage.getItem('partkit-splitter-number-files') === 'true'; // "01-" prefix in score order
+let filenameTemplate = loadFilenameTemplate('splitter', DEFAULT_FILENAME_TEMPLATE);
+let detectionMode = localStorage.getItem('partkit-splitter-detection-mode') || 'auto';
+let ocrWorkers = parseInt(localStorage.getItem('partkit-splitter-ocr-workers'), 10) || null; // null = one per spare core
+let detectionRegion = null; // User-drawn {x, y, width, height} (fractions, from top-left), null = automatic
+let pendingRegion = null; // Region being drawn in the dialog
+let splitterWorker = null; // Runs detection and split generation (created on first use)
+let activeJob = null; // {id, resolve, reject, onProgress, onPartial} of the running worker job
+let nextJobId = 1;
+let pendingPlan = null; // Imported split plan, applied to the matching PDF
+let pieceInfo = null; // {title, composer, arranger} read from page 1, written into every part
+let pageEditorMode = false; // Show the page grid editor under each split
+let diagnosticsMode = false; // Show what detection saw on each part's first page
+let pageDiagnostics = new Map(); // Page number → what detection saw, from analyzePDF
+let pageTileCache = {}; // Small page thumbnails for the page grid, by page number
+let draggedPage = null; // {splitIndex, position} of the page tile being dragged
+let blankPageSet = new Set(); // Pages detected as blank, they follow their page through edits
+let pendingSection = null; // {splitIndex, position, cut} of the page being cut in the section dialog
+let batchPieces = []; // Pieces of a batch run (several PDFs or a ZIP): [{file, splits, generatedPDFs, ...}]
+let batchName = ''; // Name of the uploaded ZIP, for the batch ZIP
+let activePiece = null; // The batch piece shown in the editor, its state lives in the variables above
+
+// Badges for parts not found in the page text layer
+const METHOD_BADGES = {
+  ocr: 'OCR',
+  outline: '🔖',
+  label: '🏷',
+  visual: '👁'
+};
 
 // DOM elements
 const uploadArea = document.getElementById('uploadArea');
@@ -20,10 +62,62 @@ const processing = document.getElementById('processing');
 const previewSection = document.getElementById('previewSection');
 const splitsList = document.getElementById('splitsList');
 const stats = document.getElementById('stats');
+const partsReport = document.getElementById('partsReport');
+const partsReportSummary = document.getElementById('partsReportSummary');
+const partsReportBody = document.getElementById('partsReportBody');
+const instrumentationInput = document.getElementById('instrumentationInput');
 const downloadAllBtn = document.getElementById('downloadAllBtn');
 const downloadZipBtn = document.getElementById('downloadZipBtn');
 const errorMessage = document.getElementById('errorMessage');
 const baseFilenameInput = document.getElementById('baseFilename');
+const pieceTitleInput = document.getElementById('pieceTitle');
+const pieceComposerInput = document.getElementById('pieceComposer');
+const pieceArrangerInput = document.getElementById('pieceArranger');
+const catalogSelect = document.getElementById('catalogSelect');
+const detectionModeSelect = document.getElementById('detectionMode');
+const ocrWorkersInput = document.getElementById('ocrWorkers');
+const rangeEditor = document.getElementById('rangeEditor');
+const rangeDefinition = document.getElementById('rangeDefinition');
+const rangeSuggestions = document.getElementById('rangeSuggestions');
+const rangeInfo = document.getElementById('rangeInfo');
+const instrumentOptions = document.getElementById('instrumentOptions');
+const filenameLanguageSelect = document.getElementById('filenameLanguage');
+const numberFilesCheckbox = document.getElementById('numberFiles');
+const filenameTemplateInput = document.getElementById('filenameTemplate');
+const regionBtn = document.getElementById('regionBtn');
+const regionInfo = document.getElementById('regionInfo');
+const regionModal = document.getElementById('regionModal');
+const regionPageInput = document.getElementById('regionPage');
+const regionCanvasWrapper = document.getElementById('regionCanvasWrapper');
+const processingMessage = document.getElementById('processingMessage');
+const processingPartial = document.getElementById('processingPartial');
+const cancelBtn = document.getElementById('cancelBtn');
+const importPlanBtn = document.getElementById('importPlanBtn');
+const planInput = document.getElementById('planInput');
+const planInfo = document.getElementById('planInfo');
+const exportPlanBtn = document.getElementById('exportPlanBtn');
+const pageEditorBtn = document.getElementById('pageEditorBtn');
+const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+const sortSplitsBtn = document.getElementById('sortSplitsBtn');
+const pageEditorHelp = document.getElementById('pageEditorHelp');
+const sectionModal = document.getElementById('sectionModal');
+const sectionDirectionSelect = document.getElementById('sectionDirection');
+const sectionCanvasWrapper = document.getElementById('sectionCanvasWrapper');
+const batchSection = document.getElementById('batchSection');
+const batchStats = document.getElementById('batchStats');
+const batchList = document.getElementById('batchList');
+
+// Populate ensemble catalog picker
+catalogSelect.innerHTML = getCatalogList().map(catalog => `
+  <option value="${catalog.id}" ${catalog.id === selectedCatalogId ? 'selected' : ''}>
+    ${t(`splitter.catalog.${catalog.id}`)}
+  </option>
+`).join('');
+
+// Populate filename language picker
+filenameLanguageSelect.innerHTML = FILENAME_LANGUAGES.map(lang => `
+  <option value="${lang.code}" ${lang.code === filenameLanguage ? 'selected' : ''}>${lang.name}</option>
+`).join('');
 
 // Setup event listeners
 uploadArea.addEventListener('click', () => fileInput.click());
@@ -33,16 +127,166 @@ uploadArea.addEventListener('drop', handleDrop);
 fileInput.addEventListener('change', handleFileSelect);
 downloadAllBtn.addEventListener('click', downloadAll);
 downloadZipBtn.addEventListener('click', downloadAllAsZip);
+document.getElementById('batchZipBtn').addEventListener('click', downloadBatchAsZip);
 baseFilenameInput.addEventListener('change', handleFilenameChange);
+[pieceTitleInput, pieceComposerInput, pieceArrangerInput].forEach(input => {
+  input.addEventListener('change', handlePieceInfoChange);
+});
+catalogSelect.addEventListener('change', handleCatalogChange);
+detectionModeSelect.value = detectionMode;
+detectionModeSelect.addEventListener('change', handleDetectionModeChange);
+ocrWorkersInput.placeholder = getDefaultOCRWorkerCount();
+ocrWorkersInput.title = t('splitter.ocr.help');
+ocrWorkersInput.value = ocrWorkers || '';
+ocrWorkersInput.addEventListener('change', handleOCRWorkersChange);
+rangeEditor.classList.toggle('active', detectionMode === 'manual');
+rangeDefinition.addEventListener('input', updateRangeSuggestions);
+rangeDefinition.addEventListener('click', updateRangeSuggestions);
+document.getElementById('rangeApplyBtn').addEventListener('click', () => {
+  if (currentFile) processPDF(currentFile);
+});
+populateInstrumentOptions();
+instrumentationInput.value = getInstrumentationText();
+instrumentationInput.addEventListener('change', handleInstrumentationChange);
+document.getElementById('instrumentationResetBtn').addEventListener('click', resetInstrumentation);
+document.getElementById('partsReportDownloadBtn').addEventListener('click', downloadPartsReport);
+filenameLanguageSelect.addEventListener('change', handleFilenameLanguageChange);
+numberFilesCheckbox.checked = numberFiles;
+numberFilesCheckbox.addEventListener('change', () => {
+  numberFiles = numberFilesCheckbox.checked;
+  localStorage.setItem('partkit-splitter-number-files', numberFiles);
+});
+sortSplitsBtn.addEventListener('click', sortSplitsInScoreOrder);
+filenameTemplateInput.value = filenameTemplate;
+filenameTemplateInput.addEventListener('change', () => {
+  saveFilenameTemplate('splitter', filenameTemplateInput.value);
+  filenameTemplate = loadFilenameTemplate('splitter', DEFAULT_FILENAME_TEMPLATE);
+  filenameTemplateInput.value = filenameTemplate;
+});
+regionBtn.addEventListener('click', openRegionDialog);
+cancelBtn.addEventListener('click', cancelProcessing);
+importPlanBtn.addEventListener('click', () => planInput.click());
+planInput.addEventListener('change', handlePlanSelect);
+exportPlanBtn.addEventListener('click', exportPlan);
+pageEditorBtn.addEventListener('click', togglePageEditor);
+diagnosticsBtn.addEventListener('click', toggleDiagnostics);
+regionPageInput.addEventListener('change', renderRegionPage);
+document.getElementById('regionApplyBtn').addEventListener('click', () => applyRegion(pendingRegion));
+document.getElementById('regionResetBtn').addEventListener('click', () => applyRegion(null));
+document.getElementById('regionCancelBtn').addEventListener('click', closeRegionDialog);
+setupRegionDrawing();
+sectionDirectionSelect.addEventListener('change', () => {
+  pendingSection.cut.direction = sectionDirectionSelect.value;
+  positionSectionLine();
+});
+document.getElementById('sectionApplyBtn').addEventListener('click', applySection);
+document.getElementById('sectionCancelBtn').addEventListener('click', closeSectionDialog);
+setupSectionPlacement();
+// Free the OCR workers (and their language data) when leaving the page
+window.addEventListener('pagehide', () => {
+  if (splitterWorker) splitterWorker.postMessage({ type: 'release' });
+});
+
+/**
+ * Handle ensemble catalog change
+ */
+async function handleCatalogChange() {
+  selectedCatalogId = catalogSelect.value;
+  localStorage.setItem('partkit-splitter-catalog', selectedCatalogId);
+  populateInstrumentOptions();
+  instrumentationInput.value = getInstrumentationText();
+
+  // Re-run detection on the current PDF (or every piece of a batch) with the new catalog
+  if (batchPieces.length > 0) {
+    await processBatch(batchPieces.map(piece => piece.file));
+  } else if (currentFile) {
+    await processPDF(currentFile);
+  }
+}
+
+/**
+ * Handle detection mode change (bookmarks/page labels or page content)
+ */
+async function handleDetectionModeChange() {
+  detectionMode = detectionModeSelect.value;
+  localStorage.setItem('partkit-splitter-detection-mode', detectionMode);
+  rangeEditor.classList.toggle('active', detectionMode === 'manual');
+
+  // Manual mode waits for the ranges to be typed and applied
+  if (detectionMode === 'manual') return;
+
+  if (batchPieces.length > 0) {
+    await processBatch(batchPieces.map(piece => piece.file));
+  } else if (currentFile) {
+    await processPDF(currentFile);
+  }
+}
+
+/**
+ * Handle a changed number of OCR workers, used from the next analysis (empty = automatic)
+ */
+function handleOCRWorkersChange() {
+  const count = parseInt(ocrWorkersInput.value, 10);
+  ocrWorkers = count >= 1 ? Math.min(count, 8) : null;
+  ocrWorkersInput.value = ocrWorkers || '';
+  if (ocrWorkers) {
+    localStorage.setItem('partkit-splitter-ocr-workers', ocrWorkers);
+  } else {
+    localStorage.removeItem('partkit-splitter-ocr-workers');
+  }
+}
+
+/**
+ * Fill the instrument name suggestions of the split name inputs from the selected catalog
+ */
+function populateInstrumentOptions() {
+  const names = getCatalog(selectedCatalogId).instruments;
+  instrumentOptions.innerHTML = names.map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+}
+
+/**
+ * Suggest instrument names for the part name being typed in the page ranges
+ */
+function updateRangeSuggestions() {
+  const caret = rangeDefinition.selectionStart;
+  const fragment = getNameFragment(rangeDefinition.value.slice(0, caret));
+  const suggestions = fragment && fragment.trim().length >= 2
+    ? suggestInstruments(fragment, getCatalog(selectedCatalogId))
+    : [];
+
+  rangeSuggestions.innerHTML = '';
+  suggestions.forEach(name => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-small btn-secondary';
+    button.textContent = name;
+    button.addEventListener('click', () => {
+      // Replace the typed fragment with the full name
+      const before = rangeDefinition.value.slice(0, caret - fragment.length);
+      const after = rangeDefinition.value.slice(caret);
+      rangeDefinition.value = before + name + after;
+      rangeDefinition.focus();
+      rangeDefinition.selectionStart = rangeDefinition.selectionEnd = before.length + name.length;
+      rangeSuggestions.innerHTML = '';
+    });
+    rangeSuggestions.appendChild(button);
+  });
+}
+
+/**
+ * Handle filename language change
+ */
+async function handleFilenameLanguageChange() {
+  filenameLanguage = filenameLanguageSelect.value;
+  localStorage.setItem('partkit-splitter-filename-lang', filenameLanguage);
+  await handleFilenameChange();
+}
 
 /**
  * Handle file selection
  */
 async function handleFileSelect(event) {
-  const file = event.target.files[0];
-  if (file && file.type === 'application/pdf') {
-    await processPDF(file);
-  }
+  await handleFiles(Array.from(event.target.files));
 }
 
 /**
@@ -68,52 +312,76 @@ function handleDrop(event) {
   event.preventDefault();
   uploadArea.classList.remove('dragover');
 
-  const file = event.dataTransfer.files[0];
-  if (file && file.type === 'application/pdf') {
-    fileInput.files = event.dataTransfer.files;
-    processPDF(file);
-  }
+  handleFiles(Array.from(event.dataTransfer.files));
 }
 
 /**
- * Process the uploaded PDF
+ * Split the uploaded files: one PDF opens in the editor, several PDFs or a ZIP are split as a batch
  */
-async function processPDF(file) {
+async function handleFiles(files) {
   try {
-    // Reset state
     hideError();
-    previewSection.classList.remove('active');
-    processing.classList.add('active');
-    thumbnailCache = {}; // Clear thumbnail cache for new PDF
-
-    currentFile = file;
-
-    // Load PDF
-    currentPDF = await loadPDF(file);
-
-    // Analyze and detect instruments with progress callback
-    const progressCallback = ({ useOCR, currentPage, total }) => {
-      const processingEl = document.querySelector('#processing p');
-      if (useOCR && currentPage) {
-        processingEl.textContent = `Using OCR to detect instruments... Page ${currentPage} of ${total}`;
-      } else if (useOCR) {
-        processingEl.textContent = `No text layer detected. Preparing OCR...`;
-      } else {
-        processingEl.textContent = 'Processing PDF and detecting instruments...';
+    const pdfFiles = [];
+    let zipName = '';
+    for (const file of files) {
+      if (file.name.toLowerCase().endsWith('.zip')) {
+        zipName = zipName || file.name.replace(/\.zip$/i, '');
+        pdfFiles.push(...await extractPDFsFromZip(file));
+      } else if (file.type === 'application/pdf') {
+        pdfFiles.push(file);
       }
-    };
+    }
+
+    if (pdfFiles.length === 0) {
+      if (files.length > 0) showError(t('splitter.error.noPdf'));
+      return;
+    }
+
+    if (pdfFiles.length === 1) {
+      batchPieces = [];
+      activePiece = null;
+      batchSection.classList.remove('active');
+      await processPDF(pdfFiles[0]);
+    } else {
+      batchName = zipName;
+      await processBatch(pdfFiles);
+    }
+  } catch (error) {
+    console.error('Error reading files:', error);
+    showError(t('splitter.error.read') + ': ' + error.message);
+  }
+}
 
-    detectedSplits = await analyzePDF(currentPDF, progressCallback);
+/**
+ * Extract PDF files from ZIP (files in folders keep only their own name)
+ */
+async function extractPDFsFromZip(zipFile) {
+  const JSZip = (await import('jszip')).default;
 
-    // Update message for PDF generation
-    document.querySelector('#processing p').textContent = 'Generating split PDFs...';
+  const zip = await JSZip.loadAsync(zipFile);
+  const pdfFiles = [];
 
-    // Generate split PDFs
-    generatedPDFs = await generateSplitPDFs(file, detectedSplits);
+  for (const [filename, file] of Object.entries(zip.files)) {
+    const name = filename.split('/').pop();
+    if (!file.dir && name.toLowerCase().endsWith('.pdf') && !name.startsWith('.')) {
+      const blob = await file.async('blob');
+      pdfFiles.push(new File([blob], name, { type: 'application/pdf' }));
+    }
+  }
 
-    // Set default base filename (from original file)
-    const defaultFilename = file.name.replace(/\.pdf$/i, '');
-    baseFilenameInput.value = defaultFilename;
+  return pdfFiles;
+}
+
+/**
+ * Process the uploaded PDF (or re-run the open piece of a batch)
+ */
+async function processPDF(file) {
+  try {
+    hideError();
+    previewSection.classList.remove('active');
+    processing.classList.add('active');
+
+    await analyzeFile(file);
 
     // Show preview
     displayPreview();
@@ -122,9 +390,393 @@ async function processPDF(file) {
     previewSection.classList.add('active');
 
   } catch (error) {
+    // Cancelled by the user, or replaced by a newer run
+    if (error.name === 'AbortError') return;
+
     console.error('Error processing PDF:', error);
     processing.classList.remove('active');
-    showError('Failed to process PDF: ' + error.message);
+    showError(t('splitter.error.process') + ': ' + error.message);
+  }
+}
+
+/**
+ * Detect the parts of a PDF and generate its split PDFs, into the current state
+ * @param {File} file - The PDF
+ * @param {string} label - Shown before the progress messages (the piece of a batch run)
+ * @throws AbortError when cancelled
+ */
+async function analyzeFile(file, label = '') {
+  // Reset state
+  thumbnailCache = {}; // Clear thumbnail cache for new PDF
+  pageTileCache = {};
+
+  // The detection region and previous results belong to one document
+  if (file !== currentFile) {
+    detectionRegion = null;
+    pieceInfo = null;
+    detectedSplits = [];
+    generatedPDFs = [];
+  }
+  currentFile = file;
+  pageDiagnostics = new Map();
+
+  // Load PDF (for thumbnails, the worker loads its own copy)
+  currentPDF = await loadPDF(file);
+  processingPartial.textContent = '';
+
+  // Title, composer and arranger from the first page (kept while the user edits them)
+  if (!pieceInfo) {
+    pieceInfo = await extractPieceInfo(await currentPDF.getPage(1), getCatalog(selectedCatalogId));
+  }
+
+  // An imported plan replaces detection, if it was made for this exact file
+  let plan = null;
+  if (pendingPlan) {
+    if (await hashFile(file) === pendingPlan.source.sha256) {
+      plan = pendingPlan;
+      pendingPlan = null;
+      planInfo.textContent = '';
+    } else if (!label) {
+      // In a batch run the plan waits for the piece it was made for
+      showError(`${t('splitter.error.planMismatch')} ("${pendingPlan.source.name}")`);
+    }
+  }
+
+  // Splits known up front skip detection: from an imported plan, or from typed page ranges
+  let knownSplits = plan ? getPlanSplits(plan, currentPDF.numPages) : null;
+  rangeInfo.textContent = `${t('splitter.range.pages')}: ${currentPDF.numPages}`;
+  if (!knownSplits && detectionMode === 'manual') {
+    try {
+      knownSplits = parseSplitDefinition(rangeDefinition.value, currentPDF.numPages, getCatalog(selectedCatalogId));
+    } catch (error) {
+      throw new Error(t('splitter.error.ranges') + ': ' + error.message);
+    }
+  }
+
+  // Analyze and detect instruments with progress callback
+  const progressCallback = ({ useOCR, currentPage, total, completed, ocrTotal, generating }) => {
+    // OCR is decided per page, only for pages without a text layer, and runs in parallel
+    if (generating) {
+      processingMessage.textContent = label + t('splitter.processing.generating');
+    } else if (useOCR) {
+      processingMessage.textContent = label + `${t('splitter.processing.ocr')} ${completed} / ${ocrTotal}`;
+    } else {
+      processingMessage.textContent = label + `${t('splitter.processing')} ${t('splitter.page')} ${currentPage} / ${total}`;
+    }
+  };
+
+  // Splits found so far, while the scanned pages are still being read
+  const partialCallback = (splits) => {
+    const known = splits.filter(split => split.instrument !== 'Unknown').map(split => split.instrument);
+    processingPartial.textContent = known.join(', ');
+  };
+
+  // Base filename: from the plan, otherwise from the piece title, otherwise from the original file
+  const baseFilename = (plan && plan.baseFilename) ||
+    getPieceBaseFilename(pieceInfo) ||
+    file.name.replace(/\.pdf$/i, '');
+
+  // Detection and split generation run in a Web Worker
+  const { splits, files, diagnostics } = await runSplitterJob(file, {
+    catalogId: selectedCatalogId,
+    mode: detectionMode,
+    region: detectionRegion,
+    ocrWorkers,
+    filenameLanguage,
+    baseFilename,
+    pieceInfo,
+    filenameTemplate,
+    numberFiles
+  }, progressCallback, partialCallback, knownSplits);
+
+  detectedSplits = splits;
+  pageDiagnostics = diagnostics;
+  // One PDF per split (a combined part has a file per instrument, all with the same pages)
+  // Filenames are made when downloading, from the current names and options
+  generatedPDFs = detectedSplits.map((split, index) => ({
+    blob: files.find(generated => generated.splitIndex === index).blob,
+    split
+  }));
+  blankPageSet = new Set(detectedSplits.flatMap(split => split.blankPages || []));
+  baseFilenameInput.value = baseFilename;
+  pieceTitleInput.value = pieceInfo.title;
+  pieceComposerInput.value = pieceInfo.composer;
+  pieceArrangerInput.value = pieceInfo.arranger;
+}
+
+/**
+ * Split several PDFs one after the other, then open the first piece in the editor
+ * A piece that fails is listed with its error, the others go on; pieces split before
+ * (a catalog or mode change) keep their detection region and title
+ */
+async function processBatch(files) {
+  hideError();
+  previewSection.classList.remove('active');
+  processing.classList.add('active');
+
+  saveActivePiece();
+  const previous = new Map(batchPieces.map(piece => [piece.file, piece]));
+  const pieces = files.map(file => ({
+    file,
+    splits: [],
+    generatedPDFs: [],
+    pieceInfo: previous.has(file) ? previous.get(file).pieceInfo : null,
+    detectionRegion: previous.has(file) ? previous.get(file).detectionRegion : null,
+    blankPageSet: new Set(),
+    pageDiagnostics: new Map(),
+    baseFilename: '',
+    analyzed: false,
+    error: null,
+    open: false
+  }));
+  batchPieces = pieces;
+  activePiece = null;
+  displayBatch();
+  batchSection.classList.add('active');
+
+  for (const [index, piece] of pieces.entries()) {
+    if (batchPieces !== pieces) return; // Replaced by a newer upload
+    activePiece = piece;
+    loadPieceState(piece);
+    try {
+      await analyzeFile(piece.file, `${piece.file.name} (${index + 1}/${pieces.length}): `);
+      piece.analyzed = true;
+      saveActivePiece();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Replaced by a newer upload: leave everything to it
+        if (batchPieces !== pieces) return;
+        // Cancelled by the user: keep the pieces split so far
+        batchPieces = pieces.filter(p => p.analyzed || p.error);
+        break;
+      }
+      console.error(`Error processing ${piece.file.name}:`, error);
+      piece.error = error.message;
+    }
+    displayBatch();
+  }
+
+  activePiece = null;
+  processing.classList.remove('active');
+  displayBatch();
+
+  const first = batchPieces.findIndex(piece => piece.analyzed);
+  if (first >= 0) {
+    await window.openPiece(first);
+  } else {
+    previewSection.classList.remove('active');
+    showError(t('splitter.error.batch'));
+  }
+}
+
+/**
+ * Keep the editor state in the open batch piece
+ */
+function saveActivePiece() {
+  if (!activePiece || !activePiece.analyzed) return;
+
+  Object.assign(activePiece, {
+    splits: detectedSplits,
+    generatedPDFs,
+    pieceInfo,
+    detectionRegion,
+    blankPageSet,
+    pageDiagnostics,
+    baseFilename: baseFilenameInput.value.trim() || currentFile.name.replace(/\.pdf$/i, '')
+  });
+}
+
+/**
+ * Load the state of a batch piece into the editor variables
+ */
+function loadPieceState(piece) {
+  currentFile = piece.file;
+  detectedSplits = piece.splits;
+  generatedPDFs = piece.generatedPDFs;
+  pieceInfo = piece.pieceInfo;
+  detectionRegion = piece.detectionRegion;
+  blankPageSet = piece.blankPageSet;
+  pageDiagnostics = piece.pageDiagnostics;
+  baseFilenameInput.value = piece.baseFilename;
+  pieceTitleInput.value = pieceInfo ? pieceInfo.title : '';
+  pieceComposerInput.value = pieceInfo ? pieceInfo.composer : '';
+  pieceArrangerInput.value = pieceInfo ? pieceInfo.arranger : '';
+}
+
+/**
+ * Open a piece of the batch in the editor
+ */
+window.openPiece = async function(index) {
+  const piece = batchPieces[index];
+  if (!piece || !piece.analyzed) return;
+
+  saveActivePiece();
+  activePiece = piece;
+  loadPieceState(piece);
+  thumbnailCache = {};
+  pageTileCache = {};
+  currentPDF = await loadPDF(piece.file);
+  rangeInfo.textContent = `${t('splitter.range.pages')}: ${currentPDF.numPages}`;
+
+  displayPreview();
+  previewSection.classList.add('active');
+};
+
+/**
+ * Show the pieces of the batch, each with its parts in a collapsible list
+ */
+function displayBatch() {
+  const analyzed = batchPieces.filter(piece => piece.analyzed);
+  const partCount = analyzed.reduce((sum, piece) => sum + piece.splits.length, 0);
+  batchStats.innerHTML = `
+    ${t('splitter.batch.summary')}: <strong>${analyzed.length}</strong> / <strong>${batchPieces.length}</strong> ${t('splitter.batch.pieces')},
+    <strong>${partCount}</strong> ${t('splitter.batch.parts')}
+  `;
+
+  batchList.innerHTML = batchPieces.map((piece, index) => {
+    if (!piece.analyzed) {
+      return `
+        <div class="batch-piece ${piece.error ? 'failed' : 'pending'}">
+          ${piece.error ? '⚠' : '⏳'} ${escapeHtml(piece.file.name)}${piece.error ? `: ${escapeHtml(piece.error)}` : ''}
+        </div>`;
+    }
+
+    // Parts to check: low confidence or disagreeing page numbers
+    const flagged = piece.splits.filter(split =>
+      (split.confidence !== undefined && split.confidence < LOW_CONFIDENCE) || (split.warnings || []).length > 0
+    ).length;
+    const isOpen = piece === activePiece;
+    const parts = piece.splits.map(split => `
+      <li>${escapeHtml(formatPartName(getSplitInstruments(split).join(' / '), split.key))} <span class="batch-pages">${formatPageRange(split)}</span></li>
+    `).join('');
+
+    return `
+      <details class="batch-piece ${isOpen ? 'active' : ''}" data-piece-index="${index}" ${piece.open ? 'open' : ''}>
+        <summary>
+          <strong>${escapeHtml(piece.baseFilename)}</strong> (${escapeHtml(piece.file.name)}):
+          ${piece.splits.length} ${t('splitter.batch.parts')}
+          ${flagged > 0 ? `<span class="confidence-badge" title="${t('splitter.confidence.low')}">⚠ ${flagged}</span>` : ''}
+          ${isOpen ? `<span class="batch-editing">${t('splitter.batch.editing')}</span>` : ''}
+        </summary>
+        <ol class="batch-parts">${parts}</ol>
+        <button class="btn-small btn-secondary" onclick="window.openPiece(${index})" ${isOpen ? 'disabled' : ''}>
+          ${t('splitter.batch.edit')}
+        </button>
+      </details>`;
+  }).join('');
+
+  // Remember which lists are unfolded across refreshes
+  batchList.querySelectorAll('details[data-piece-index]').forEach(details => {
+    details.addEventListener('toggle', () => {
+      batchPieces[details.dataset.pieceIndex].open = details.open;
+    });
+  });
+}
+
+/**
+ * Run detection and split generation for a file in the splitter worker
+ * Only one job runs at a time, starting a new one aborts the previous one
+ * @param {Array|null} splits - Known splits (from a plan): skip detection, only generate
+ * @returns {Promise<{splits: Array, files: Array, diagnostics: Map}>} Rejects with an AbortError when cancelled
+ */
+function runSplitterJob(file, options, onProgress, onPartial, splits = null) {
+  if (!splitterWorker) {
+    splitterWorker = new Worker(new URL('./splitter-worker.js', import.meta.url), { type: 'module' });
+    splitterWorker.onmessage = handleWorkerMessage;
+  }
+
+  abortSplitterJob();
+
+  return new Promise((resolve, reject) => {
+    activeJob = { id: nextJobId++, resolve, reject, onProgress, onPartial };
+    splitterWorker.postMessage({ type: 'analyze', id: activeJob.id, file, options, splits });
+  });
+}
+
+/**
+ * Route a message from the splitter worker to the running job
+ */
+function handleWorkerMessage(event) {
+  const { type, id } = event.data;
+  if (!activeJob || activeJob.id !== id) return; // Late message from an aborted job
+
+  const job = activeJob;
+  if (type === 'progress') {
+    job.onProgress(event.data.progress);
+  } else if (type === 'partial') {
+    job.onPartial(event.data.splits);
+  } else if (type === 'result') {
+    activeJob = null;
+    job.resolve({ splits: event.data.splits, files: event.data.files, diagnostics: event.data.diagnostics });
+  } else if (type === 'error') {
+    activeJob = null;
+    job.reject(new Error(event.data.message));
+  }
+}
+
+/**
+ * Abort the running worker job, if any
+ * The promise rejects right away, the worker stops after its current page
+ */
+function abortSplitterJob() {
+  if (!activeJob) return;
+
+  const job = activeJob;
+  activeJob = null;
+  splitterWorker.postMessage({ type: 'abort', id: job.id });
+  job.reject(new DOMException('Processing cancelled', 'AbortError'));
+}
+
+/**
+ * Import a split plan: applied right away to the loaded PDF, or to the next one uploaded
+ */
+async function handlePlanSelect(event) {
+  const file = event.target.files[0];
+  planInput.value = '';
+  if (!file) return;
+
+  try {
+    pendingPlan = parseSplitPlan(await file.text());
+  } catch (error) {
+    showError(t('splitter.error.planImport') + ': ' + error.message);
+    return;
+  }
+
+  hideError();
+  planInfo.textContent = `${t('splitter.plan.loaded')}: ${pendingPlan.source.name}`;
+
+  if (currentFile) {
+    await processPDF(currentFile);
+  }
+}
+
+/**
+ * Export the current split list as a JSON plan
+ */
+async function exportPlan() {
+  if (!currentFile || detectedSplits.length === 0) return;
+
+  try {
+    const baseFilename = baseFilenameInput.value.trim() || currentFile.name.replace(/\.pdf$/i, '');
+    const plan = await createSplitPlan(currentFile, detectedSplits, baseFilename);
+    const blob = new Blob([JSON.stringify(plan, null, 2)], { type: 'application/json' });
+    downloadFile(blob, `${baseFilename}-split-plan.json`);
+  } catch (error) {
+    console.error('Error exporting split plan:', error);
+    showError(t('splitter.error.planExport') + ': ' + error.message);
+  }
+}
+
+/**
+ * Cancel button: stop processing and go back to the upload area
+ */
+function cancelProcessing() {
+  abortSplitterJob();
+  processing.classList.remove('active');
+  fileInput.value = '';
+  if (detectedSplits.length > 0) {
+    // A re-run of the same file (catalog or region change) was cancelled: keep the previous result
+    previewSection.classList.add('active');
   }
 }
 
@@ -132,12 +784,21 @@ async function processPDF(file) {
  * Display preview of detected splits
  */
 function displayPreview() {
+  // Edits to the open piece of a batch show in the piece list
+  if (activePiece) {
+    saveActivePiece();
+    displayBatch();
+  }
+
   // Update stats
   stats.innerHTML = `
     Found <strong>${detectedSplits.length}</strong> instrument parts in
     <strong>${currentPDF.numPages}</strong> pages
   `;
 
+  regionInfo.textContent = detectionRegion ? t('splitter.region.custom') : '';
+  updatePartsReport();
+
   // Clear previous splits
   splitsList.innerHTML = '';
 
@@ -146,9 +807,7 @@ function displayPreview() {
     const splitItem = document.createElement('div');
     splitItem.className = 'split-item';
 
-    const pageRange = split.startPage === split.endPage
-      ? `Page ${split.startPage}`
-      : `Pages ${split.startPage}-${split.endPage}`;
+    const pageRange = formatPageRange(split);
 
     const pageCount = split.pages.length;
     const pageLabel = pageCount === 1 ? 'page' : 'pages';
@@ -157,6 +816,32 @@ function displayPreview() {
     const isLast = index === detectedSplits.length - 1;
     const canSplit = pageCount > 1;
 
+    // Flag detections that should be checked by hand
+    const isLowConfidence = split.confidence !== undefined && split.confidence < LOW_CONFIDENCE;
+    const confidencePercent = Math.round((split.confidence || 0) * 100);
+    const confidenceTitle = split.sourceText
+      ? `${t('splitter.confidence.low')}: "${escapeHtml(split.sourceText)}" (${confidencePercent}%)`
+      : t('splitter.confidence.low');
+
+    // Blank pages are left out of the PDF unless kept
+    const blankCount = split.blankPages ? split.blankPages.length : 0;
+    const blankToggle = blankCount > 0 ? `
+      <label class="blank-toggle">
+        <input type="checkbox" ${split.keepBlankPages ? '' : 'checked'} onchange="window.toggleBlankPages(${index}, !this.checked)" />
+        ${t('splitter.blank.drop')} (${split.blankPages.join(', ')})
+      </label>` : '';
+
+    // A combined part ("2nd & 3rd Cornet") is saved once per player
+    const instruments = getSplitInstruments(split);
+    const combinedInfo = instruments.length > 1 ? `
+      <div class="combined-parts">👥 ${t('splitter.combined.files')}: ${instruments.map(escapeHtml).join(', ')}</div>` : '';
+
+    // Disagreements between the detected splits and the printed page numbers
+    const numberingWarnings = (split.warnings || []).map(warning => `
+      <div class="numbering-warning">
+        ⚠ ${t(`splitter.numbering.${warning.type}`)}: ${t('splitter.page').toLowerCase()} ${warning.page} "${escapeHtml(warning.text)}"
+      </div>`).join('');
+
     splitItem.innerHTML = `
       <div class="split-thumbnail" id="thumbnail-${index}">
         <div style="padding: 4rem 2rem; text-align: center; color: #999;">Loading...</div>
@@ -165,15 +850,33 @@ function displayPreview() {
         <div class="split-header">
           <input
             type="text"
-            value="${split.instrument}"
+            value="${escapeHtml(instruments.join(' / '))}"
             data-split-index="${index}"
+            list="instrumentOptions"
             placeholder="Instrument name"
           />
+          <input
+            type="text"
+            class="key-input"
+            value="${escapeHtml(split.key ? formatKey(split.key) : '')}"
+            data-key-index="${index}"
+            placeholder="${t('splitter.key.placeholder')}"
+            title="${t('splitter.key.title')}"
+          />
           <button class="btn-small btn-secondary btn-download-single" onclick="window.downloadSingle(${index})" title="${t('common.download')}">
             ${t('common.download')}
           </button>
         </div>
-        <div class="split-pages">${pageRange} (${pageCount} ${pageLabel})</div>
+        <div class="split-pages">
+          ${pageRange} (${pageCount} ${pageLabel})
+          ${METHOD_BADGES[split.detectionMethod] ? `<span class="method-badge" title="${t(`splitter.method.${split.detectionMethod}`)}">${METHOD_BADGES[split.detectionMethod]}</span>` : ''}
+          ${isLowConfidence ? `<span class="confidence-badge" title="${confidenceTitle}">⚠ ${confidencePercent}%</span>` : ''}
+        </div>
+        ${combinedInfo}
+        ${numberingWarnings}
+        ${blankToggle}
+        ${diagnosticsMode ? renderDiagnostics(split) : ''}
+        ${pageEditorMode ? `<div class="page-grid" data-split-index="${index}"></div>` : ''}
       </div>
       <div class="split-actions">
         <button
@@ -212,6 +915,10 @@ function displayPreview() {
 
     splitsList.appendChild(splitItem);
 
+    if (pageEditorMode) {
+      renderPageGrid(splitItem.querySelector('.page-grid'), split, index);
+    }
+
     // Generate thumbnail asynchronously
     generateThumbnail(split, index);
   });
@@ -221,6 +928,522 @@ function displayPreview() {
   inputs.forEach(input => {
     input.addEventListener('change', handleInstrumentNameChange);
   });
+  splitsList.querySelectorAll('input[data-key-index]').forEach(input => {
+    input.addEventListener('change', handleKeyChange);
+  });
+}
+
+/**
+ * Key for display, with a flat sign: "Bb treble clef" → "B♭ treble clef"
+ */
+function formatKey(key) {
+  return key.replace(/^([A-G])b\b/, '$1♭');
+}
+
+/**
+ * Part name with its key, for lists: "1st Trombone (B♭ treble clef)"
+ */
+function formatPartName(name, key) {
+  return key ? `${name} (${formatKey(key)})` : name;
+}
+
+/**
+ * Page range label: "Pages 3-5", or the page list once pages were reordered
+ */
+function formatPageRange(split) {
+  const isContiguous = split.pages.every((page, i) => i === 0 || page === split.pages[i - 1] + 1);
+  if (split.pages.length === 1) {
+    return `${t('splitter.page')} ${split.pages[0]}`;
+  }
+  return isContiguous
+    ? `${t('splitter.pages')} ${split.startPage}-${split.endPage}`
+    : `${t('splitter.pages')} ${split.pages.join(', ')}`;
+}
+
+/**
+ * Expected instrumentation for the selected ensemble: the user's own list, else the standard one
+ */
+function getInstrumentationText() {
+  const saved = localStorage.getItem(`partkit-splitter-instrumentation-${selectedCatalogId}`);
+  return saved !== null ? saved : (DEFAULT_INSTRUMENTATIONS[selectedCatalogId] || '');
+}
+
+/**
+ * Save an edited instrumentation (per ensemble) and check the splits against it
+ */
+function handleInstrumentationChange() {
+  localStorage.setItem(`partkit-splitter-instrumentation-${selectedCatalogId}`, instrumentationInput.value);
+  updatePartsReport();
+}
+
+/**
+ * Go back to the standard instrumentation of the selected ensemble
+ */
+function resetInstrumentation() {
+  localStorage.removeItem(`partkit-splitter-instrumentation-${selectedCatalogId}`);
+  instrumentationInput.value = getInstrumentationText();
+  updatePartsReport();
+}
+
+/**
+ * An expected part as listed in the report: "Solo Cornet (4 players)"
+ */
+function formatExpectedPart(part) {
+  return part.players > 1 ? `${part.name} (${part.players} ${t('splitter.parts.players')})` : part.name;
+}
+
+/**
+ * A detected part with the pages of its splits: "1st Trombone: Pages 5-6; Page 9"
+ */
+function formatDetectedPart(name, splitIndices) {
+  return `${name}: ${splitIndices.map(index => formatPageRange(detectedSplits[index])).join('; ')}`;
+}
+
+/**
+ * Compare the splits with the expected instrumentation
+ * @returns {Object|null} Report from checkInstrumentation, null when no parts are expected
+ */
+function getPartsReport() {
+  const instrumentation = parseInstrumentation(instrumentationInput.value);
+  return instrumentation.length > 0 ? checkInstrumentation(detectedSplits, instrumentation) : null;
+}
+
+/**
+ * Show the missing, duplicate and unexpected parts above the split list
+ */
+function updatePartsReport() {
+  const report = getPartsReport();
+  if (!report) {
+    partsReport.classList.remove('incomplete');
+    partsReportSummary.textContent = t('splitter.parts.none');
+    partsReportBody.innerHTML = '';
+    return;
+  }
+
+  const problems = report.missing.length + report.duplicates.length + report.unexpected.length;
+  partsReport.classList.toggle('incomplete', problems > 0);
+  partsReportSummary.textContent = problems === 0
+    ? `✓ ${t('splitter.parts.complete')} (${report.found.length})`
+    : `⚠ ${t('splitter.parts.title')}: ${t('splitter.parts.missing')} ${report.missing.length}, ` +
+      `${t('splitter.parts.duplicate')} ${report.duplicates.length}, ${t('splitter.parts.unexpected')} ${report.unexpected.length}`;
+
+  const list = (key, items) => items.length === 0 ? '' : `
+    <strong>${t(key)}</strong>
+    <ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  partsReportBody.innerHTML =
+    list('splitter.parts.missing', report.missing.map(formatExpectedPart)) +
+    list('splitter.parts.duplicate', report.duplicates.map(entry => formatDetectedPart(formatPartName(entry.name, entry.key), entry.splits))) +
+    list('splitter.parts.unexpected', report.unexpected.map(entry => formatDetectedPart(formatPartName(entry.name, entry.key), entry.splits)));
+}
+
+/**
+ * Download the parts check as a text file
+ */
+function downloadPartsReport() {
+  const report = getPartsReport();
+  if (!currentFile || !report) return;
+
+  const list = (key, items) => [`${t(key)} (${items.length}):`, ...items.map(item => `  - ${item}`), ''];
+  const lines = [
+    `${t('splitter.parts.title')}: ${currentFile.name}`,
+    '',
+    ...list('splitter.parts.missing', report.missing.map(formatExpectedPart)),
+    ...list('splitter.parts.duplicate', report.duplicates.map(entry => formatDetectedPart(formatPartName(entry.name, entry.key), entry.splits))),
+    ...list('splitter.parts.unexpected', report.unexpected.map(entry => formatDetectedPart(formatPartName(entry.name, entry.key), entry.splits))),
+    ...list('splitter.parts.found', report.found.map(entry => formatDetectedPart(formatExpectedPart(entry.part), entry.splits)))
+  ];
+
+  const baseFilename = baseFilenameInput.value.trim() || currentFile.name.replace(/\.pdf$/i, '');
+  downloadFile(new Blob([lines.join('\n')], { type: 'text/plain' }), `${baseFilename}-parts-report.txt`);
+}
+
+/**
+ * Put the splits in score order (Soprano Cornet, Solo Cornet, ...), parts not in the
+ * catalog stay at the end in their page order
+ */
+function sortSplitsInScoreOrder() {
+  const catalog = getCatalog(selectedCatalogId);
+  const order = sortByScoreOrder(detectedSplits.map((split, index) => index), index => {
+    const split = detectedSplits[index];
+    // Parts not in the catalog all compare equal, so they keep their page order
+    // Versions of a part in other keys or clefs follow each other in a fixed order
+    return getScoreRank(split.instrument, catalog) === Infinity ? '' : `${split.instrument} ${split.key || ''}`;
+  }, catalog);
+
+  detectedSplits = order.map(index => detectedSplits[index]);
+  generatedPDFs = order.map(index => generatedPDFs[index]);
+  displayPreview();
+}
+
+/**
+ * Show or hide the page grid editor
+ */
+function togglePageEditor() {
+  pageEditorMode = !pageEditorMode;
+  pageEditorBtn.dataset.i18n = pageEditorMode ? 'splitter.pages.done' : 'splitter.pages.edit';
+  pageEditorBtn.textContent = t(pageEditorBtn.dataset.i18n);
+  pageEditorHelp.textContent = pageEditorMode ? t('splitter.pages.help') : '';
+  displayPreview();
+}
+
+/**
+ * Show or hide the detection diagnostics
+ */
+function toggleDiagnostics() {
+  diagnosticsMode = !diagnosticsMode;
+  diagnosticsBtn.dataset.i18n = diagnosticsMode ? 'splitter.diagnostics.hide' : 'splitter.diagnostics.show';
+  diagnosticsBtn.textContent = t(diagnosticsBtn.dataset.i18n);
+  displayPreview();
+}
+
+/**
+ * What detection saw on the first page of a split: how it was read, the raw text,
+ * the catalog entry it matched and the other header candidates with their score
+ */
+function renderDiagnostics(split) {
+  const info = pageDiagnostics.get(split.startPage);
+  if (!info) {
+    // Splits from a plan or typed page ranges were never detected
+    return `<div class="diagnostics">${t('splitter.diagnostics.noData')}</div>`;
+  }
+
+  const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+  const match = info.detection && info.detection.name !== 'Unknown'
+    ? `${escapeHtml(info.detection.name)} (${percent(info.detection.confidence)})`
+    : t('splitter.diagnostics.none');
+  const candidates = (info.candidates || []).map(candidate => `
+    <li>"${escapeHtml(candidate.text)}" → ${escapeHtml(candidate.name)}
+      <span class="diagnostics-score">${candidate.score.toFixed(2)} · ${escapeHtml(candidate.style)}</span></li>`).join('');
+
+  return `
+    <div class="diagnostics">
+      <div>${t('splitter.diagnostics.page')} ${split.startPage} · ${t(`splitter.diagnostics.method.${info.method || 'text'}`)}</div>
+      ${info.region ? `<div>${t('splitter.diagnostics.region')}: ${percent(info.region.x)} ${percent(info.region.y)} · ${percent(info.region.width)} × ${percent(info.region.height)}</div>` : ''}
+      <div>${t('splitter.diagnostics.read')}: <code>${escapeHtml(info.text || '') || '–'}</code></div>
+      <div>${t('splitter.diagnostics.match')}: ${match}</div>
+      ${info.cut ? `<div>${t('splitter.diagnostics.cut')}: ${escapeHtml(info.cut.name)}</div>` : ''}
+      ${candidates ? `<div>${t('splitter.diagnostics.candidates')}:</div><ol class="diagnostics-candidates">${candidates}</ol>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Fill a split's page grid with draggable page tiles
+ */
+function renderPageGrid(grid, split, splitIndex) {
+  split.pages.forEach((pageNumber, position) => {
+    const tile = document.createElement('div');
+    tile.className = 'page-tile';
+    tile.classList.toggle('blank', blankPageSet.has(pageNumber));
+    tile.classList.toggle('sectioned', Boolean(split.sections && split.sections[pageNumber]));
+    tile.draggable = true;
+    tile.dataset.splitIndex = splitIndex;
+    tile.dataset.position = position;
+    tile.innerHTML = `
+      <span class="page-tile-number">${pageNumber}</span>
+      <button class="page-tile-section" onclick="window.openSectionDialog(${splitIndex}, ${position})" title="${t('splitter.section.button')}">✂</button>
+      <button class="page-tile-remove" onclick="window.removePage(${splitIndex}, ${position})" title="${t('splitter.pages.remove')}">×</button>
+    `;
+
+    tile.addEventListener('dragstart', handlePageDragStart);
+    tile.addEventListener('dragover', handlePageDragOver);
+    tile.addEventListener('dragleave', handlePageDragLeave);
+    tile.addEventListener('drop', handlePageDrop);
+    tile.addEventListener('dragend', handlePageDragEnd);
+    grid.appendChild(tile);
+
+    getPageTile(pageNumber).then(canvas => {
+      if (canvas) tile.prepend(canvas);
+    });
+  });
+
+  // Dropping on the grid itself (not on a tile) appends to the split
+  grid.addEventListener('dragover', handlePageDragOver);
+  grid.addEventListener('dragleave', handlePageDragLeave);
+  grid.addEventListener('drop', handlePageDrop);
+}
+
+/**
+ * Small thumbnail of a page for the page grid (cached canvas, copied per tile)
+ */
+async function getPageTile(pageNumber) {
+  try {
+    if (!pageTileCache[pageNumber]) {
+      const page = await currentPDF.getPage(pageNumber);
+      pageTileCache[pageNumber] = await getPageThumbnail(page, 120);
+    }
+
+    const cached = pageTileCache[pageNumber];
+    const canvas = document.createElement('canvas');
+    canvas.width = cached.width;
+    canvas.height = cached.height;
+    canvas.getContext('2d').drawImage(cached, 0, 0);
+    return canvas;
+  } catch (error) {
+    console.error(`Error generating page tile for page ${pageNumber}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Drag and drop handlers for page tiles
+ */
+function handlePageDragStart(e) {
+  draggedPage = {
+    splitIndex: parseInt(e.currentTarget.dataset.splitIndex),
+    position: parseInt(e.currentTarget.dataset.position)
+  };
+  e.currentTarget.classList.add('dragging');
+  e.dataTransfer.effectAllowed = 'copyMove';
+  e.stopPropagation();
+}
+
+function handlePageDragOver(e) {
+  if (!draggedPage) return; // Not a page tile (e.g. a file from the desktop)
+
+  e.preventDefault();
+  e.stopPropagation();
+  // Hold Ctrl (or Alt/Option) to duplicate instead of moving
+  e.dataTransfer.dropEffect = e.ctrlKey || e.altKey ? 'copy' : 'move';
+
+  if (!e.currentTarget.classList.contains('dragging')) {
+    e.currentTarget.classList.add('drag-over');
+  }
+}
+
+function handlePageDragLeave(e) {
+  e.currentTarget.classList.remove('drag-over');
+}
+
+async function handlePageDrop(e) {
+  if (!draggedPage) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+
+  const target = {
+    splitIndex: parseInt(e.currentTarget.dataset.splitIndex),
+    // Dropped on a tile: insert before it, dropped on the grid: append
+    position: e.currentTarget.dataset.position !== undefined ? parseInt(e.currentTarget.dataset.position) : null
+  };
+  const source = draggedPage;
+  draggedPage = null;
+
+  await movePage(source, target, e.ctrlKey || e.altKey);
+}
+
+function handlePageDragEnd(e) {
+  e.currentTarget.classList.remove('dragging');
+
+  // Remove all drag-over classes
+  document.querySelectorAll('.page-tile, .page-grid').forEach(item => {
+    item.classList.remove('drag-over');
+  });
+
+  draggedPage = null;
+}
+
+/**
+ * Move (or duplicate) a page from one split position to another
+ * @param {Object} source - {splitIndex, position} of the dragged page
+ * @param {Object} target - {splitIndex, position}, position null = end of the split
+ * @param {boolean} copy - Duplicate the page instead of moving it
+ */
+async function movePage(source, target, copy) {
+  const sourceSplit = detectedSplits[source.splitIndex];
+  const targetSplit = detectedSplits[target.splitIndex];
+  const pageNumber = sourceSplit.pages[source.position];
+  let insertAt = target.position === null ? targetSplit.pages.length : target.position;
+
+  if (!copy) {
+    // Dropped on itself
+    if (source.splitIndex === target.splitIndex && (insertAt === source.position || insertAt === source.position + 1)) {
+      return;
+    }
+
+    sourceSplit.pages.splice(source.position, 1);
+    if (source.splitIndex === target.splitIndex && source.position < insertAt) {
+      insertAt--;
+    }
+  }
+
+  targetSplit.pages.splice(insertAt, 0, pageNumber);
+
+  // A cut page takes its section along
+  const section = sourceSplit.sections && sourceSplit.sections[pageNumber];
+  if (section) {
+    if (!copy && !sourceSplit.pages.includes(pageNumber)) {
+      delete sourceSplit.sections[pageNumber];
+    }
+    targetSplit.sections = { ...(targetSplit.sections || {}), [pageNumber]: section };
+  }
+
+  const editedIndexes = copy ? [target.splitIndex] : [...new Set([source.splitIndex, target.splitIndex])];
+  await applyPageEdits(editedIndexes);
+}
+
+/**
+ * Keep or drop a split's blank pages in its PDF
+ */
+window.toggleBlankPages = async function(index, keep) {
+  detectedSplits[index].keepBlankPages = keep;
+  await regeneratePDFForSplit(index);
+};
+
+/**
+ * Remove a single page from a split
+ */
+window.removePage = async function(splitIndex, position) {
+  const split = detectedSplits[splitIndex];
+  const [pageNumber] = split.pages.splice(position, 1);
+  if (split.sections && !split.pages.includes(pageNumber)) {
+    delete split.sections[pageNumber];
+  }
+  await applyPageEdits([splitIndex]);
+};
+
+/**
+ * After page edits: update page ranges, regenerate the edited splits and drop emptied ones
+ */
+async function applyPageEdits(editedIndexes) {
+  for (const index of editedIndexes) {
+    const split = detectedSplits[index];
+    if (split.pages.length > 0) {
+      split.startPage = split.pages[0];
+      split.endPage = split.pages[split.pages.length - 1];
+      await regeneratePDFForSplit(index);
+    }
+  }
+
+  // Remove splits that lost all their pages (from the end, so indexes stay valid)
+  for (let i = detectedSplits.length - 1; i >= 0; i--) {
+    if (detectedSplits[i].pages.length === 0) {
+      detectedSplits.splice(i, 1);
+      generatedPDFs.splice(i, 1);
+    }
+  }
+
+  displayPreview();
+}
+
+/**
+ * Open the dialog for cutting a page in two parts
+ */
+window.openSectionDialog = function(splitIndex, position) {
+  pendingSection = { splitIndex, position, cut: { direction: sectionDirectionSelect.value, position: 0.5 } };
+  sectionModal.classList.add('active');
+  renderSectionPage();
+};
+
+/**
+ * Close the section dialog without cutting
+ */
+function closeSectionDialog() {
+  sectionModal.classList.remove('active');
+  pendingSection = null;
+}
+
+/**
+ * Render the page into the section dialog (only the part the split uses, if already cut)
+ */
+async function renderSectionPage() {
+  const split = detectedSplits[pendingSection.splitIndex];
+  const pageNumber = split.pages[pendingSection.position];
+  const { x, y, width, height } = (split.sections && split.sections[pageNumber]) || { x: 0, y: 0, width: 1, height: 1 };
+
+  try {
+    const page = await currentPDF.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1.0 });
+    const pageCanvas = await renderPageToCanvas(page, 1200 / (viewport.width * width));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(pageCanvas.width * width);
+    canvas.height = Math.round(pageCanvas.height * height);
+    canvas.getContext('2d').drawImage(
+      pageCanvas,
+      pageCanvas.width * x, pageCanvas.height * y, canvas.width, canvas.height,
+      0, 0, canvas.width, canvas.height
+    );
+
+    sectionCanvasWrapper.innerHTML = '';
+    sectionCanvasWrapper.appendChild(canvas);
+
+    const line = document.createElement('div');
+    line.id = 'sectionLine';
+    sectionCanvasWrapper.appendChild(line);
+    positionSectionLine();
+  } catch (error) {
+    console.error('Error rendering page for sectioning:', error);
+  }
+}
+
+/**
+ * Show the cut line in the section dialog
+ */
+function positionSectionLine() {
+  const line = document.getElementById('sectionLine');
+  if (!line || !pendingSection) return;
+
+  const { direction, position } = pendingSection.cut;
+  line.className = `section-line ${direction}`;
+  line.style.top = direction === 'horizontal' ? `${position * 100}%` : '';
+  line.style.left = direction === 'vertical' ? `${position * 100}%` : '';
+}
+
+/**
+ * Let the user place the cut line by clicking on the page in the section dialog
+ */
+function setupSectionPlacement() {
+  sectionCanvasWrapper.addEventListener('click', (event) => {
+    if (!pendingSection) return;
+    const bounds = sectionCanvasWrapper.getBoundingClientRect();
+    pendingSection.cut.position = pendingSection.cut.direction === 'vertical'
+      ? (event.clientX - bounds.left) / bounds.width
+      : (event.clientY - bounds.top) / bounds.height;
+    positionSectionLine();
+  });
+}
+
+/**
+ * Cut the page: the split keeps the first half, a new split starts with the second half
+ * and takes the pages that came after it
+ */
+async function applySection() {
+  const { splitIndex, position, cut } = pendingSection;
+  closeSectionDialog();
+
+  const split = detectedSplits[splitIndex];
+  const pageNumber = split.pages[position];
+  const sections = { ...(split.sections || {}) };
+  // Cutting a page that is already a section cuts inside that section
+  const [first, second] = getSectionHalves(cut).map(half => composeSection(sections[pageNumber] || null, half));
+
+  const laterPages = split.pages.slice(position + 1);
+  const newSplit = {
+    instrument: 'Unknown',
+    confidence: 0,
+    sourceText: '',
+    detectionMethod: 'manual',
+    startPage: pageNumber,
+    endPage: pageNumber,
+    pages: [pageNumber, ...laterPages],
+    sections: { [pageNumber]: second },
+    blankPages: [],
+    keepBlankPages: split.keepBlankPages
+  };
+  laterPages.forEach(page => {
+    if (sections[page]) {
+      newSplit.sections[page] = sections[page];
+      delete sections[page];
+    }
+  });
+
+  split.pages = split.pages.slice(0, position + 1);
+  split.sections = { ...sections, [pageNumber]: first };
+
+  detectedSplits.splice(splitIndex + 1, 0, newSplit);
+  generatedPDFs.splice(splitIndex + 1, 0, null);
+  await applyPageEdits([splitIndex, splitIndex + 1]);
 }
 
 /**
@@ -250,6 +1473,9 @@ async function generateThumbnail(split, index) {
 
       // Re-add zoom event listener
       addZoomListener(thumbnailDiv, canvas);
+      addRegionOverlay(thumbnailDiv);
+      addSectionOverlay(thumbnailDiv, split);
+      await addDiagnosticsOverlay(thumbnailDiv, pageNumber);
       return;
     }
 
@@ -287,6 +1513,9 @@ async function generateThumbnail(split, index) {
 
     // Add smart zoom origin adjustment
     addZoomListener(thumbnailDiv, canvas);
+    addRegionOverlay(thumbnailDiv);
+    addSectionOverlay(thumbnailDiv, split);
+    await addDiagnosticsOverlay(thumbnailDiv, pageNumber);
   } catch (error) {
     console.error('Error generating thumbnail:', error);
     const thumbnailDiv = document.getElementById(`thumbnail-${index}`);
@@ -330,6 +1559,187 @@ function addZoomListener(thumbnailDiv, canvas) {
   });
 }
 
+/**
+ * Show the detection region on a thumbnail
+ */
+function addRegionOverlay(container) {
+  if (!detectionRegion) return;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'region-overlay';
+  positionRegionElement(overlay, detectionRegion);
+  container.appendChild(overlay);
+}
+
+/**
+ * Outline the part of the first page a split uses, when it starts on a cut page
+ */
+function addSectionOverlay(container, split) {
+  const section = split.sections && split.sections[split.startPage];
+  if (!section) return;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'section-overlay';
+  positionRegionElement(overlay, section);
+  container.appendChild(overlay);
+}
+
+/**
+ * In diagnostics mode, outline the text items PDF.js found on a page, the region
+ * detection read and the line the part name was taken from
+ */
+async function addDiagnosticsOverlay(container, pageNumber) {
+  if (!diagnosticsMode) return;
+
+  const page = await currentPDF.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: 1.0 });
+  const textContent = await page.getTextContent();
+
+  textContent.items.forEach(item => {
+    if (!item.str.trim()) return;
+    // The baseline start in viewport coordinates (from top-left), the item extends up from it
+    const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+    const height = item.height || Math.hypot(item.transform[2], item.transform[3]);
+    const box = document.createElement('div');
+    box.className = 'diagnostics-item';
+    box.title = item.str;
+    positionRegionElement(box, {
+      x: x / viewport.width,
+      y: (y - height) / viewport.height,
+      width: item.width / viewport.width,
+      height: height / viewport.height
+    });
+    container.appendChild(box);
+  });
+
+  const info = pageDiagnostics.get(pageNumber);
+  if (info && info.region) {
+    const region = document.createElement('div');
+    region.className = 'diagnostics-region';
+    positionRegionElement(region, info.region);
+    container.appendChild(region);
+  }
+  if (info && info.line) {
+    const line = document.createElement('div');
+    line.className = 'diagnostics-line';
+    positionRegionElement(line, info.line);
+    container.appendChild(line);
+  }
+}
+
+/**
+ * Position an absolutely placed element over a region (fractions of its container)
+ */
+function positionRegionElement(element, region) {
+  element.style.left = `${region.x * 100}%`;
+  element.style.top = `${region.y * 100}%`;
+  element.style.width = `${region.width * 100}%`;
+  element.style.height = `${region.height * 100}%`;
+}
+
+/**
+ * Open the dialog for drawing the detection region
+ */
+function openRegionDialog() {
+  pendingRegion = detectionRegion;
+  regionPageInput.max = currentPDF.numPages;
+  // Start on the first detected part rather than a possible cover page
+  regionPageInput.value = detectedSplits.length > 0 ? detectedSplits[0].startPage : 1;
+  regionModal.classList.add('active');
+  renderRegionPage();
+}
+
+/**
+ * Close the detection region dialog without applying
+ */
+function closeRegionDialog() {
+  regionModal.classList.remove('active');
+  pendingRegion = null;
+}
+
+/**
+ * Render the selected page into the region dialog
+ */
+async function renderRegionPage() {
+  const pageNumber = Math.max(1, Math.min(currentPDF.numPages, parseInt(regionPageInput.value) || 1));
+  regionPageInput.value = pageNumber;
+
+  try {
+    const page = await currentPDF.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1.0 });
+    const canvas = await renderPageToCanvas(page, 1200 / viewport.width);
+
+    regionCanvasWrapper.innerHTML = '';
+    regionCanvasWrapper.appendChild(canvas);
+
+    const rect = document.createElement('div');
+    rect.className = 'region-overlay';
+    rect.id = 'regionRect';
+    rect.style.display = pendingRegion ? 'block' : 'none';
+    if (pendingRegion) {
+      positionRegionElement(rect, pendingRegion);
+    }
+    regionCanvasWrapper.appendChild(rect);
+  } catch (error) {
+    console.error('Error rendering page for region selection:', error);
+  }
+}
+
+/**
+ * Let the user drag a rectangle on the page in the region dialog
+ */
+function setupRegionDrawing() {
+  let start = null;
+
+  const toFraction = (event) => {
+    const bounds = regionCanvasWrapper.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(1, (event.clientX - bounds.left) / bounds.width)),
+      y: Math.max(0, Math.min(1, (event.clientY - bounds.top) / bounds.height))
+    };
+  };
+
+  regionCanvasWrapper.addEventListener('pointerdown', (event) => {
+    start = toFraction(event);
+    regionCanvasWrapper.setPointerCapture(event.pointerId);
+  });
+
+  regionCanvasWrapper.addEventListener('pointermove', (event) => {
+    if (!start) return;
+    const current = toFraction(event);
+    pendingRegion = {
+      x: Math.min(start.x, current.x),
+      y: Math.min(start.y, current.y),
+      width: Math.abs(current.x - start.x),
+      height: Math.abs(current.y - start.y)
+    };
+    const rect = document.getElementById('regionRect');
+    if (rect) {
+      rect.style.display = 'block';
+      positionRegionElement(rect, pendingRegion);
+    }
+  });
+
+  regionCanvasWrapper.addEventListener('pointerup', () => {
+    start = null;
+    // Ignore accidental clicks
+    if (pendingRegion && (pendingRegion.width < 0.01 || pendingRegion.height < 0.01)) {
+      pendingRegion = null;
+      const rect = document.getElementById('regionRect');
+      if (rect) rect.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * Apply a detection region (null = automatic) and re-run detection
+ */
+async function applyRegion(region) {
+  detectionRegion = region;
+  closeRegionDialog();
+  await processPDF(currentFile);
+}
+
 /**
  * Handle instrument name change
  */
@@ -338,14 +1748,64 @@ function handleInstrumentNameChange(event) {
   const newName = event.target.value.trim();
 
   if (newName) {
-    // Update the split
-    detectedSplits[index].instrument = newName;
+    // Update the split - a name typed by the user needs no further checking
+    // "Eb/BBb Bass" names a combined part, saved once per player
+    const split = detectedSplits[index];
+    const wasCombined = getSplitInstruments(split).length > 1;
+    const names = resolveInstrumentNames(newName, getCatalog(selectedCatalogId));
+    split.instrument = names[0];
+    if (names.length > 1) {
+      split.instruments = names;
+    } else {
+      delete split.instruments;
+    }
+    split.confidence = 1;
+    split.detectionMethod = 'manual';
+
+    // A key typed with the name goes in the key field ("Trombone in Bb")
+    const key = names.length === 1 ? parseTransposition(newName) : null;
+    if (key) {
+      split.key = key;
+    }
 
-    // Regenerate the PDF with new name (no need to refresh display)
-    regeneratePDFForSplit(index);
+    // Regenerate the PDF with new name (the display only changes for combined parts and keys)
+    const refresh = wasCombined || names.length > 1 || key !== null;
+    regeneratePDFForSplit(index).then(() => refresh && displayPreview());
+    if (activePiece) displayBatch();
   }
 }
 
+/**
+ * Handle an edited key: stored in plain letters like a detected one ("B♭" → "Bb"), empty removes it
+ */
+function handleKeyChange(event) {
+  const index = parseInt(event.target.dataset.keyIndex);
+  const split = detectedSplits[index];
+  const key = event.target.value.trim().replace(/♭/g, 'b').replace(/♯/g, '#');
+
+  if (key) {
+    split.key = key;
+  } else {
+    delete split.key;
+  }
+
+  // The key is written into the part's metadata
+  regeneratePDFForSplit(index);
+  if (activePiece) displayBatch();
+}
+
+/**
+ * Handle edits to the title, composer or arranger: rewrite the metadata of every part
+ */
+async function handlePieceInfoChange() {
+  pieceInfo = {
+    title: pieceTitleInput.value.trim(),
+    composer: pieceComposerInput.value.trim(),
+    arranger: pieceArrangerInput.value.trim()
+  };
+  await handleFilenameChange();
+}
+
 /**
  * Handle base filename change
  */
@@ -362,46 +1822,42 @@ async function handleFilenameChange() {
 async function regeneratePDFForSplit(index) {
   try {
     const split = detectedSplits[index];
+    split.blankPages = split.pages.filter(page => blankPageSet.has(page));
+
     const arrayBuffer = await currentFile.arrayBuffer();
     const { PDFDocument } = await import('pdf-lib');
     const pdfDoc = await PDFDocument.load(arrayBuffer);
 
     const newPdf = await PDFDocument.create();
-    const copiedPages = await newPdf.copyPages(
-      pdfDoc,
-      split.pages.map(p => p - 1)
-    );
-
-    copiedPages.forEach(page => newPdf.addPage(page));
+    await addOutputPages(newPdf, pdfDoc, split);
+    setPieceMetadata(newPdf, pieceInfo);
+    setPartMetadata(newPdf, split);
 
     const pdfBytes = await newPdf.save();
     const blob = new Blob([pdfBytes], { type: 'application/pdf' });
 
-    const baseFilename = baseFilenameInput.value.trim() || currentFile.name.replace(/\.pdf$/i, '');
-    const filename = generateFilename(baseFilename, split.instrument);
-
     // Update the generated PDF
     generatedPDFs[index] = {
-      filename,
       blob,
       split
     };
   } catch (error) {
     console.error('Error regenerating PDF:', error);
+    // The old PDF no longer matches the split, downloading it again retries
+    generatedPDFs[index] = null;
+    showError(`${t('splitter.error.regenerate')} (${getSplitInstruments(detectedSplits[index]).join(' / ')}): ${error.message}`);
   }
 }
 
 /**
- * Generate filename from base and instrument name
+ * Regenerate the PDFs that are missing, after an edit whose regeneration failed
  */
-function generateFilename(base, instrument) {
-  // Sanitize but preserve some capitalization
-  const sanitized = instrument
-    .replace(/[^\w\s-]/g, '') // Remove special chars except spaces and hyphens
-    .replace(/\s+/g, '-')     // Replace spaces with hyphens
-    .replace(/-+/g, '-');     // Collapse multiple hyphens
-
-  return `${base}-${sanitized}.pdf`;
+async function regenerateMissingPDFs() {
+  for (let i = 0; i < generatedPDFs.length; i++) {
+    if (!generatedPDFs[i]) {
+      await regeneratePDFForSplit(i);
+    }
+  }
 }
 
 /**
@@ -414,7 +1870,7 @@ window.mergeWithPrevious = async function(index) {
   const previousSplit = detectedSplits[index - 1];
 
   // Combine pages - keep the previous split's name (the upper one)
-  previousSplit.pages = [...previousSplit.pages, ...currentSplit.pages];
+  Object.assign(previousSplit, joinSplitPages(previousSplit, currentSplit));
   previousSplit.endPage = currentSplit.endPage;
 
   // Remove current split
@@ -438,9 +1894,14 @@ window.mergeWithNext = async function(index) {
   const nextSplit = detectedSplits[index + 1];
 
   // Combine pages - keep the next split's name (the lower one)
-  currentSplit.pages = [...currentSplit.pages, ...nextSplit.pages];
+  Object.assign(currentSplit, joinSplitPages(currentSplit, nextSplit));
   currentSplit.endPage = nextSplit.endPage;
   currentSplit.instrument = nextSplit.instrument;
+  currentSplit.instruments = nextSplit.instruments;
+  currentSplit.key = nextSplit.key;
+  currentSplit.confidence = nextSplit.confidence;
+  currentSplit.sourceText = nextSplit.sourceText;
+  currentSplit.detectionMethod = nextSplit.detectionMethod;
 
   // Remove next split
   detectedSplits.splice(index + 1, 1);
@@ -464,9 +1925,15 @@ window.splitPages = async function(index) {
   // Create individual splits for each page
   const newSplits = split.pages.map(pageNum => ({
     instrument: split.instrument,
+    instruments: split.instruments,
+    key: split.key,
+    confidence: split.confidence,
+    sourceText: split.sourceText,
+    detectionMethod: split.detectionMethod,
     startPage: pageNum,
     endPage: pageNum,
-    pages: [pageNum]
+    pages: [pageNum],
+    sections: split.sections && split.sections[pageNum] ? { [pageNum]: split.sections[pageNum] } : {}
   }));
 
   // Remove the original split and insert new ones
@@ -497,19 +1964,65 @@ window.deleteSplit = function(index) {
 };
 
 /**
- * Download a single split PDF
+ * Every output file, named from the filename template with the current base filename
+ * and instrument names (a combined part gives a file per instrument)
+ * @returns {Array<{filename, blob, splitIndex}>}
  */
-window.downloadSingle = function(index) {
-  const pdf = generatedPDFs[index];
-  downloadFile(pdf.blob, pdf.filename);
+function getOutputFiles() {
+  return getPieceOutputFiles({
+    file: currentFile,
+    splits: detectedSplits,
+    generatedPDFs,
+    baseFilename: baseFilenameInput.value.trim()
+  });
+}
+
+/**
+ * Output files of a piece (the open one, or one of a batch)
+ * @param {Object} piece - {file, splits, generatedPDFs, baseFilename}
+ * @returns {Array<{filename, blob, splitIndex}>}
+ */
+function getPieceOutputFiles(piece) {
+  const files = piece.generatedPDFs.flatMap((pdf, splitIndex) => {
+    // A PDF whose regeneration failed is left out (the error was shown when it failed)
+    if (!pdf) return [];
+    const split = piece.splits[splitIndex];
+    return getSplitInstruments(split).map(instrument => ({ instrument, split, blob: pdf.blob, splitIndex }));
+  });
+  const filenames = nameOutputFiles(files, {
+    filenameTemplate,
+    baseFilename: piece.baseFilename || piece.file.name.replace(/\.pdf$/i, ''),
+    source: piece.file.name.replace(/\.pdf$/i, ''),
+    filenameLanguage,
+    numberFiles,
+    catalogId: selectedCatalogId
+  });
+
+  return files.map((file, i) => ({
+    filename: filenames[i],
+    blob: file.blob,
+    splitIndex: file.splitIndex
+  }));
+}
+
+/**
+ * Download a single split PDF (one file per player for a combined part)
+ */
+window.downloadSingle = async function(index) {
+  await regenerateMissingPDFs();
+  for (const file of getOutputFiles().filter(file => file.splitIndex === index)) {
+    downloadFile(file.blob, file.filename);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
 };
 
 /**
  * Download all split PDFs
  */
 async function downloadAll() {
-  for (const pdf of generatedPDFs) {
-    downloadFile(pdf.blob, pdf.filename);
+  await regenerateMissingPDFs();
+  for (const file of getOutputFiles()) {
+    downloadFile(file.blob, file.filename);
     // Small delay to avoid browser blocking multiple downloads
     await new Promise(resolve => setTimeout(resolve, 100));
   }
@@ -521,21 +2034,17 @@ async function downloadAll() {
 async function downloadAllAsZip() {
   try {
     // Dynamically import JSZip
-    const JSZip = (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
+    const JSZip = (await import('jszip')).default;
 
     const zip = new JSZip();
 
     // Get current base filename from input
     const baseFilename = baseFilenameInput.value.trim() || currentFile.name.replace(/\.pdf$/i, '');
 
-    // Add each PDF to the zip with current instrument names
-    for (let i = 0; i < generatedPDFs.length; i++) {
-      const pdf = generatedPDFs[i];
-      const split = detectedSplits[i];
-
-      // Generate filename with current instrument name (from input field)
-      const filename = generateFilename(baseFilename, split.instrument);
-      zip.file(filename, pdf.blob);
+    // Add each PDF to the zip with current instrument names, once per player of a combined part
+    await regenerateMissingPDFs();
+    for (const file of getOutputFiles()) {
+      zip.file(file.filename, file.blob);
     }
 
     // Generate the zip file
@@ -545,7 +2054,41 @@ async function downloadAllAsZip() {
     downloadFile(zipBlob, `${baseFilename}-all-parts.zip`);
   } catch (error) {
     console.error('Error creating ZIP:', error);
-    showError('Failed to create ZIP file: ' + error.message);
+    showError(t('splitter.error.zip') + ': ' + error.message);
+  }
+}
+
+/**
+ * Download every piece of the batch as one ZIP, a folder per piece ("Better/Better-Solo-Cornet.pdf")
+ */
+async function downloadBatchAsZip() {
+  try {
+    await regenerateMissingPDFs();
+    saveActivePiece();
+    const JSZip = (await import('jszip')).default;
+
+    const zip = new JSZip();
+    const folders = new Set();
+
+    for (const piece of batchPieces.filter(piece => piece.analyzed)) {
+      // Folder named like the piece's files, numbered when two pieces share a title
+      const base = renderFilename('{title}', { title: piece.baseFilename }).replace(/\.pdf$/, '');
+      let folder = base;
+      for (let n = 2; folders.has(folder); n++) {
+        folder = `${base}-${n}`;
+      }
+      folders.add(folder);
+
+      for (const file of getPieceOutputFiles(piece)) {
+        zip.file(`${folder}/${file.filename}`, file.blob);
+      }
+    }
+
+    const zipBlob = await zip.generateAsync({ type: 'blob' });
+    downloadFile(zipBlob, batchName ? `${batchName}-all-parts.zip` : 'all-pieces.zip');
+  } catch (error) {
+    console.error('Error creating ZIP:', error);
+    showError(t('splitter.error.zip') + ': ' + error.message);
   }
 }
 
@@ -563,6 +2106,17 @@ function downloadFile(blob, filename) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Escape text for use inside HTML attributes
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 /**
  * Show error message
  */
@@ -0,0 +1,130 @@
+/**
+ * Pooled OCR service using Tesseract.js
+ * Workers are started once and shared, so pages are recognized concurrently
+ * without paying the worker start-up cost for every page
+ */
+
+// Tesseract files are bundled so OCR works offline
+// vite.config.js keeps their names unhashed, since Tesseract loads them by directory
+import tesseractWorkerUrl from 'tesseract.js/dist/worker.min.js?url';
+import tesseractCoreUrl from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url';
+import 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url'; // Emitted next to the plain core
+import tesseractLangUrl from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url';
+
+// The running pool: { size, ready: Promise<{recognize, terminate}> }
+let pool = null;
+
+/**
+ * Default number of OCR workers: one per spare CPU core, at most 4
+ * (each worker holds its own copy of the language data)
+ */
+export function getDefaultOCRWorkerCount() {
+  const cores = navigator.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+/**
+ * Get the shared OCR pool, starting it on first use
+ * @param {number} size - Number of Tesseract workers (restarts the pool if it differs)
+ * @returns {Promise<{size: number, recognize: Function, terminate: Function}>}
+ *   recognize(image, signal) resolves to the trimmed text, and rejects with an AbortError
+ *   when the signal aborts or the pool is terminated before the page is read
+ */
+export async function getOCRPool(size = getDefaultOCRWorkerCount()) {
+  if (pool && pool.size !== size) {
+    await terminateOCRPool();
+  }
+
+  if (!pool) {
+    pool = { size, ready: startPool(size) };
+  }
+
+  try {
+    return await pool.ready;
+  } catch (error) {
+    // Allow a retry after a failed start
+    pool = null;
+    throw error;
+  }
+}
+
+/**
+ * Stop all OCR workers and free their memory
+ * Pages still waiting for a worker are rejected with an AbortError
+ */
+export async function terminateOCRPool() {
+  if (!pool) return;
+
+  const { ready } = pool;
+  pool = null;
+
+  try {
+    const running = await ready;
+    await running.terminate();
+  } catch (error) {
+    // The pool never started, nothing to stop
+  }
+}
+
+/**
+ * Start `size` workers behind a Tesseract scheduler, which hands each job to the next idle worker
+ */
+async function startPool(size) {
+  // Dynamically import Tesseract.js (only needed for scanned pages)
+  const { createScheduler } = await import('tesseract.js');
+
+  const scheduler = createScheduler();
+  const workers = await Promise.all(Array.from({ length: size }, () => createOCRWorker()));
+  workers.forEach(worker => scheduler.addWorker(worker));
+
+  // Reject functions of the jobs not answered yet
+  const pending = new Set();
+  const abortError = () => new DOMException('OCR cancelled', 'AbortError');
+
+  return {
+    size,
+    recognize: (image, signal = null) => new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      const cancel = () => {
+        pending.delete(cancel);
+        reject(abortError());
+      };
+      pending.add(cancel);
+      if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+      scheduler.addJob('recognize', image)
+        .then(({ data: { text } }) => resolve(text.trim()), reject)
+        .finally(() => {
+          pending.delete(cancel);
+          if (signal) signal.removeEventListener('abort', cancel);
+        });
+    }),
+    terminate: () => {
+      pending.forEach(cancel => cancel());
+      return scheduler.terminate();
+    }
+  };
+}
+
+/**
+ * Create a Tesseract worker that loads everything from the bundled files
+ */
+async function createOCRWorker() {
+  const { createWorker, OEM } = await import('tesseract.js');
+
+  // The worker resolves paths against its own location, so pass absolute URLs
+  // (self is the window on the page, or the splitter worker)
+  const absolute = url => new URL(url, self.location.href).href;
+  const directory = url => absolute(url).replace(/\/[^/]*$/, '');
+
+  return await createWorker('eng', OEM.LSTM_ONLY, {
+    workerPath: absolute(tesseractWorkerUrl),
+    workerBlobURL: false,
+    // Both cores are bundled side by side, Tesseract picks SIMD or plain from the directory
+    corePath: directory(tesseractCoreUrl),
+    langPath: directory(tesseractLangUrl)
+  });
+}
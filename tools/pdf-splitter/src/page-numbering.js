@@ -0,0 +1,143 @@
+/**
+ * Printed page numbers ("2/3", "Page 2 of 3", "- 2 -") in part footers
+ * A page numbered 2 or higher continues the part before it, so the numbering
+ * confirms or vetoes the boundaries found by detection
+ * Footers are read from the text layer only: scanned pages have no printed number here
+ */
+
+import { joinSplitPages } from './page-sections.js';
+
+// "Page 2", "Page 2 of 3", "Seite 2 von 3", "p. 2", "S. 2/3"
+const PAGE_WORD_PATTERN = /\b(?:page|seite|p\.|s\.)\s*(\d{1,2})(?:\s*(?:of|von|sur|de|\/)\s*(\d{1,2}))?\b/i;
+
+// "2/3", "2 / 3", but not dates like "12/05/2015"
+const FRACTION_PATTERN = /(?<![\d/.])(\d{1,2})\s*\/\s*(\d{1,2})(?![\d/.])/;
+
+// A footer line holding only a number: "2", "- 2 -", "– 2 –"
+// Could also be a bar or rehearsal number, so it is only trusted as part of a 1, 2, 3... run
+const BARE_NUMBER_PATTERN = /^[\s–-]*(\d{1,2})[\s–-]*$/;
+
+/**
+ * Read the printed page number from the footer lines of a page
+ * @param {Array<string>} lines - Footer text lines, from extractFooterLines
+ * @returns {{number: number, count: number|null, explicit: boolean, text: string}|null} count is
+ *   the "of Y" part when printed, explicit false for a bare number, text the footer line it was read from
+ */
+export function parsePageNumber(lines) {
+  for (const line of lines) {
+    const match = line.match(PAGE_WORD_PATTERN) || line.match(FRACTION_PATTERN);
+    if (match) {
+      const number = parseInt(match[1], 10);
+      const count = match[2] ? parseInt(match[2], 10) : null;
+      if (number >= 1 && (count === null || number <= count)) {
+        return { number, count, explicit: true, text: line.trim() };
+      }
+    }
+
+    const bare = line.match(BARE_NUMBER_PATTERN);
+    if (bare && parseInt(bare[1], 10) >= 1) {
+      return { number: parseInt(bare[1], 10), count: null, explicit: false, text: line.trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the printed numbers restart for every part (rather than running through a book)
+ * "X of Y" numbering always does, otherwise a number going down shows a restart
+ */
+function isNumberedPerPart(pageNumbers) {
+  const printed = [...pageNumbers.entries()].sort((a, b) => a[0] - b[0]).map(([, printed]) => printed);
+  if (printed.some(p => p.count !== null)) {
+    return true;
+  }
+  return printed.some((p, i) => i > 0 && p.number <= printed[i - 1].number);
+}
+
+/**
+ * Whether the bare numbers of a run of pages count 1, 2, 3... with the pages
+ * (an unnumbered first page counts as 1), so they are page numbers and not bar numbers
+ * @param {Array<number>} pages - The pages of the part, in order, blank pages left out
+ */
+function isPageNumberRun(pages, pageNumbers) {
+  return pages.every((page, i) => !pageNumbers.has(page) || pageNumbers.get(page).number === i + 1);
+}
+
+/**
+ * Check the splits against the printed page numbers
+ * A split starting on a page numbered 2 or higher is merged into the part before it
+ * (keeping the better detected name). A bare number ("- 2 -") only merges when the pages
+ * of both splits count 1, 2, 3... on, otherwise the boundary is kept and flagged.
+ * Pages numbered 1 inside a split and page counts that don't match "of Y" are only
+ * flagged, they need a look from the user.
+ * @param {Array} splits - Splits from buildSplits, in page order
+ * @param {Map<number, Object>} pageNumbers - Page number → printed number from parsePageNumber
+ * @returns {Array} The checked splits, each with warnings: [{type, page, text}]
+ *   type is 'continues' (boundary removed), 'mayContinue' (bare number, boundary kept),
+ *   'starts' (a part seems to start inside the split) or 'count' (the split has a different
+ *   number of pages than printed)
+ */
+export function validateSplitsWithPageNumbers(splits, pageNumbers) {
+  splits.forEach(split => {
+    split.warnings = [];
+  });
+  if (pageNumbers.size === 0 || !isNumberedPerPart(pageNumbers)) {
+    return splits;
+  }
+
+  const checked = [];
+  for (const split of splits) {
+    const previous = checked[checked.length - 1];
+    const printed = pageNumbers.get(split.startPage);
+    // A part starting halfway down a page shares that page's number with the part above
+    const startsMidPage = split.sections && split.sections[split.startPage];
+
+    if (previous && printed && printed.number > 1 && !startsMidPage) {
+      const run = [...previous.pages, ...split.pages].filter(page =>
+        !previous.blankPages.includes(page) && !split.blankPages.includes(page)
+      );
+      if (!printed.explicit && !isPageNumberRun(run, pageNumbers)) {
+        split.warnings.push({ type: 'mayContinue', page: split.startPage, text: printed.text });
+        checked.push(split);
+        continue;
+      }
+
+      console.log(`🔢 Page ${split.startPage} is numbered "${printed.text}": continues ${previous.instrument}`);
+      if (split.confidence > previous.confidence) {
+        previous.instrument = split.instrument;
+        previous.instruments = split.instruments;
+        previous.key = split.key;
+        previous.confidence = split.confidence;
+        previous.sourceText = split.sourceText;
+        previous.detectionMethod = split.detectionMethod;
+      }
+      // Cut pages keep their sections, so no part of a page goes out twice
+      Object.assign(previous, joinSplitPages(previous, split));
+      previous.endPage = split.endPage;
+      previous.blankPages.push(...split.blankPages);
+      previous.warnings.push({ type: 'continues', page: split.startPage, text: printed.text }, ...split.warnings);
+      continue;
+    }
+    checked.push(split);
+  }
+
+  checked.forEach(split => {
+    split.pages.slice(1).forEach(page => {
+      const printed = pageNumbers.get(page);
+      if (printed && printed.number === 1) {
+        split.warnings.push({ type: 'starts', page, text: printed.text });
+      }
+    });
+
+    const counted = split.pages.find(page => pageNumbers.has(page) && pageNumbers.get(page).count !== null);
+    if (counted) {
+      const printed = pageNumbers.get(counted);
+      const pageCount = split.pages.length - split.blankPages.length;
+      if (printed.count !== pageCount && !split.warnings.some(warning => warning.type === 'starts')) {
+        split.warnings.push({ type: 'count', page: counted, text: printed.text });
+      }
+    }
+  });
+
+  return checked;
+}
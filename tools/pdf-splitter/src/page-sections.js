@@ -0,0 +1,112 @@
+/**
+ * Page sections: two parts printed on one page ("1st & 2nd Trombone" side by side,
+ * or a short part in the top half and the next part below it)
+ *
+ * A split can use part of a page: split.sections maps a page number to the rectangle
+ * of that page it uses, {x, y, width, height} as fractions from the top-left corner
+ * of the page as displayed. Pages without an entry are used whole.
+ */
+
+/**
+ * The two halves of a page cut along a line
+ * @param {Object} cut - {direction: 'horizontal' | 'vertical', position}, position is the
+ *   fraction of the page height (horizontal cut) or width (vertical cut)
+ * @returns {Array<Object>} [top or left half, bottom or right half]
+ */
+export function getSectionHalves(cut) {
+  const position = Math.max(0.05, Math.min(0.95, cut.position));
+  if (cut.direction === 'vertical') {
+    return [
+      { x: 0, y: 0, width: position, height: 1 },
+      { x: position, y: 0, width: 1 - position, height: 1 }
+    ];
+  }
+  return [
+    { x: 0, y: 0, width: 1, height: position },
+    { x: 0, y: position, width: 1, height: 1 - position }
+  ];
+}
+
+/**
+ * A rectangle inside a section, for cutting a page that is already a section
+ * @param {Object|null} outer - Section the inner rectangle is relative to (null = whole page)
+ * @param {Object} inner - Rectangle as fractions of the outer section
+ * @returns {Object} The rectangle as fractions of the whole page
+ */
+export function composeSection(outer, inner) {
+  if (!outer) {
+    return inner;
+  }
+  return {
+    x: outer.x + inner.x * outer.width,
+    y: outer.y + inner.y * outer.height,
+    width: inner.width * outer.width,
+    height: inner.height * outer.height
+  };
+}
+
+/**
+ * Convert a section to a box in PDF user space, for pdf-lib's embedPage
+ * Sections are measured on the page as displayed, so the page rotation is undone
+ * @param {Object} section - {x, y, width, height} fractions from the displayed top-left
+ * @param {Object} cropBox - {x, y, width, height} of the page in user space
+ * @param {number} rotation - Page rotation in degrees (0, 90, 180 or 270)
+ * @returns {{left: number, bottom: number, right: number, top: number}}
+ */
+export function sectionToBox(section, cropBox, rotation) {
+  const { x, y, width, height } = section;
+  const { x: cx, y: cy, width: cw, height: ch } = cropBox;
+
+  switch (((rotation % 360) + 360) % 360) {
+    case 90:
+      return { left: cx + y * cw, right: cx + (y + height) * cw, bottom: cy + x * ch, top: cy + (x + width) * ch };
+    case 180:
+      return { left: cx + (1 - x - width) * cw, right: cx + (1 - x) * cw, bottom: cy + y * ch, top: cy + (y + height) * ch };
+    case 270:
+      return { left: cx + (1 - y - height) * cw, right: cx + (1 - y) * cw, bottom: cy + (1 - x - width) * ch, top: cy + (1 - x) * ch };
+    default:
+      return { left: cx + x * cw, right: cx + (x + width) * cw, bottom: cy + (1 - y - height) * ch, top: cy + (1 - y) * ch };
+  }
+}
+
+/**
+ * Join the pages of two consecutive splits (for merging them)
+ * A page cut between them is put back together (whole again after a single cut)
+ * @returns {{pages: Array<number>, sections: Object}}
+ */
+export function joinSplitPages(first, second) {
+  const pages = [...first.pages];
+  const sections = { ...(first.sections || {}) };
+  const secondSections = second.sections || {};
+
+  second.pages.forEach((page, position) => {
+    const rejoined = position === 0 &&
+      page === pages[pages.length - 1] &&
+      sections[page] && secondSections[page];
+    if (rejoined) {
+      const a = sections[page];
+      const b = secondSections[page];
+      const x = Math.min(a.x, b.x);
+      const y = Math.min(a.y, b.y);
+      const union = {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y
+      };
+      const whole = union.width > 0.999 && union.height > 0.999;
+      if (whole) {
+        delete sections[page];
+      } else {
+        sections[page] = union;
+      }
+      return;
+    }
+    pages.push(page);
+    if (secondSections[page]) {
+      sections[page] = secondSections[page];
+    }
+  });
+
+  return { pages, sections };
+}
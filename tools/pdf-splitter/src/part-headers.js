@@ -0,0 +1,282 @@
+/**
+ * Part header detection from text layout
+ * Part names are usually set in a distinctive style (e.g. bold 14pt, top left) that
+ * repeats on the first page of every part, while running headers, tempo markings and
+ * lyrics are not. Candidate text runs are scored by size and placement, then the
+ * dominant header style of the document is learned and used to pick one per page.
+ * The same style further down a page marks a second part printed on that page.
+ */
+
+import { detectInstrument, LOW_CONFIDENCE } from './instrument-detector.js';
+
+// Only runs in the top part of the page can be a part header (fraction of the page height)
+export const HEADER_ZONE = 0.3;
+
+// Runs starting right of this (fraction of the page width) are usually composer credits
+const RIGHT_COLUMN = 0.6;
+
+// The learned style needs this many part headers, and this share of them, to be trusted
+const MIN_STYLE_PAGES = 2;
+const MIN_STYLE_SHARE = 0.5;
+
+// Text repeated on more than this share of the pages is a running header, not a part name
+const RUNNING_HEADER_SHARE = 0.6;
+
+// Below the header zone, only runs this much larger than the body text are read
+// (a second part header on the page), lyrics and markings are skipped
+const BODY_HEADER_SIZE = 1.2;
+
+// Runs on the same line within this fraction of the page height
+const SAME_LINE = 0.01;
+
+/**
+ * Font size of a text item: the vertical scale of its text matrix
+ */
+function getFontSize(item) {
+  return Math.hypot(item.transform[2], item.transform[3]);
+}
+
+/**
+ * Size of the ordinary text on the page (lyrics, markings, credits): the 25th percentile
+ * by characters, so a sparse page where the title and part name hold most of the
+ * characters still measures its small text
+ */
+function getBodySize(items) {
+  const sizes = items
+    .map(item => ({ size: getFontSize(item), length: item.str.length }))
+    .sort((a, b) => a.size - b.size);
+  const total = sizes.reduce((sum, entry) => sum + entry.length, 0);
+
+  let counted = 0;
+  for (const entry of sizes) {
+    counted += entry.length;
+    if (counted >= total * 0.25) {
+      return entry.size || 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Split the text of a page into runs: words on the same line in the same font and size
+ * @returns {Array<{text, fontName, size, x, y, endX, top}>} x/y/endX/top are fractions of the page,
+ *   from top-left (y is the baseline, top the top of the letters)
+ */
+function getTextRuns(page, items) {
+  const viewport = page.getViewport({ scale: 1.0 });
+  const placed = items
+    .filter(item => item.str.trim())
+    .map(item => {
+      const [vx, vy] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+      return { item, x: vx / viewport.width, y: vy / viewport.height, size: getFontSize(item) };
+    })
+    .sort((a, b) => a.y - b.y);
+
+  // Group into lines (5 unit tolerance), as in extractTextInsideRegion
+  const lines = [];
+  placed.forEach(entry => {
+    const line = lines.find(l => Math.abs(l.y - entry.y) * viewport.height < 5);
+    if (line) {
+      line.entries.push(entry);
+    } else {
+      lines.push({ y: entry.y, entries: [entry] });
+    }
+  });
+
+  const runs = [];
+  lines.forEach(line => {
+    let run = null;
+    line.entries.sort((a, b) => a.x - b.x).forEach(entry => {
+      const sameStyle = run &&
+        run.fontName === entry.item.fontName &&
+        Math.abs(run.size - entry.size) < 0.5;
+      // A wide gap separates e.g. a left-aligned part name from a centred title
+      const gap = run ? (entry.x - run.endX) * viewport.width : 0;
+      if (sameStyle && gap < entry.size * 3) {
+        run.text += ' ' + entry.item.str;
+      } else {
+        run = { text: entry.item.str, fontName: entry.item.fontName, size: entry.size, x: entry.x, y: line.y };
+        runs.push(run);
+      }
+      run.endX = entry.x + entry.item.width / viewport.width;
+    });
+  });
+
+  return runs.map(({ text, fontName, size, x, y, endX }) => ({
+    text: text.replace(/\s+/g, ' ').trim(),
+    fontName,
+    size,
+    x,
+    y,
+    endX,
+    top: y - size / viewport.height
+  }));
+}
+
+/**
+ * Find the text runs of a page that name an instrument, scored by how much they look
+ * like a part header: larger than the body text, near the top, not in the composer
+ * column, and by detection confidence
+ * Runs below the header zone are only kept when set larger than the body text
+ * @param {PDFPageProxy} page - PDF.js page
+ * @param {Object} catalog - Instrument catalog to detect against
+ * @returns {Promise<Array<{text, detection, fontName, size, style, x, y, endX, top, inHeaderZone, score}>>}
+ *   Best first
+ */
+export async function extractHeaderCandidates(page, catalog) {
+  const textContent = await page.getTextContent();
+  const items = textContent.items.filter(item => item.str && item.str.trim());
+  if (items.length === 0) {
+    return [];
+  }
+
+  const bodySize = getBodySize(items);
+
+  return getTextRuns(page, items)
+    .filter(run => run.y <= HEADER_ZONE || run.size >= bodySize * BODY_HEADER_SIZE)
+    .map(run => {
+      const detection = detectInstrument(run.text, catalog);
+      if (!detection) return null;
+
+      const placement = Math.max(0, 1 - run.y / HEADER_ZONE);
+      const prominence = Math.min(1, Math.max(0, run.size / bodySize - 1));
+      const alignment = run.x > RIGHT_COLUMN ? 0.7 : 1;
+      return {
+        ...run,
+        detection,
+        style: `${run.fontName}@${Math.round(run.size)}`,
+        inHeaderZone: run.y <= HEADER_ZONE,
+        score: detection.confidence * (0.5 + 0.25 * placement + 0.25 * prominence) * alignment
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Text printed on most pages is a running header (e.g. the piece title "Cornet Carillon")
+ * @returns {Function} Tells whether a candidate is a running header
+ */
+function findRunningHeaders(pageCandidates, textPages) {
+  const textCounts = new Map();
+  pageCandidates.forEach(candidates => {
+    new Set(candidates.map(c => c.text.toLowerCase())).forEach(text => {
+      textCounts.set(text, (textCounts.get(text) || 0) + 1);
+    });
+  });
+  return (candidate) => textPages >= 4 &&
+    textCounts.get(candidate.text.toLowerCase()) > textPages * RUNNING_HEADER_SHARE;
+}
+
+/**
+ * Best candidate by a scoring function (running headers count half), null if none scores
+ */
+function rankCandidates(candidates, scoreOf, isRunningHeader) {
+  return candidates
+    .map(candidate => ({ candidate, score: scoreOf(candidate) * (isRunningHeader(candidate) ? 0.5 : 1) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.candidate)[0] || null;
+}
+
+/**
+ * The part header style of the document: the most common style among the best
+ * header zone candidate of every page
+ * @returns {{style: string, size: number, pages: number, of: number}|null} null when no style
+ *   is shared by enough pages (pages: how many use it, of: pages with a header)
+ */
+function learnHeaderStyle(pageCandidates, isRunningHeader) {
+  const styleCounts = new Map();
+  let guesses = 0;
+  pageCandidates.forEach(candidates => {
+    const guess = rankCandidates(candidates.filter(c => c.inHeaderZone), c => c.score, isRunningHeader);
+    if (guess) {
+      guesses++;
+      styleCounts.set(guess.style, (styleCounts.get(guess.style) || 0) + 1);
+    }
+  });
+
+  let headerStyle = null;
+  let styleCount = 0;
+  styleCounts.forEach((count, style) => {
+    if (count > styleCount) {
+      headerStyle = style;
+      styleCount = count;
+    }
+  });
+  if (styleCount < MIN_STYLE_PAGES || styleCount < guesses * MIN_STYLE_SHARE) {
+    return null;
+  }
+  return { style: headerStyle, size: Number(headerStyle.split('@').pop()), pages: styleCount, of: guesses };
+}
+
+/**
+ * Pick the part header of every page, using the header style learned from the document
+ * Once most part headers share a font and size, smaller runs in another style (running
+ * headers like "Concert Funk", tempo markings, lyrics) no longer count as part names
+ * @param {Map<number, Array>} pageCandidates - Page number → candidates from extractHeaderCandidates
+ * @param {number} textPages - Number of pages with a text layer
+ * @returns {Map<number, Object>} Page number → chosen candidate (pages without one are left out)
+ */
+export function selectPartHeaders(pageCandidates, textPages) {
+  const isRunningHeader = findRunningHeaders(pageCandidates, textPages);
+  const headerStyle = learnHeaderStyle(pageCandidates, isRunningHeader);
+  if (headerStyle) {
+    console.log(`🔤 Part header style: ${headerStyle.style} (${headerStyle.pages} of ${headerStyle.of} pages)`);
+  }
+
+  const selected = new Map();
+  pageCandidates.forEach((candidates, pageNum) => {
+    const choice = rankCandidates(candidates.filter(c => c.inHeaderZone), candidate => {
+      if (!headerStyle || candidate.style === headerStyle.style) {
+        return candidate.score * (headerStyle ? 1.2 : 1);
+      }
+      // Smaller than the learned header and in another font: not a part name
+      return candidate.size < headerStyle.size * 0.9 ? 0 : candidate.score * 0.8;
+    }, isRunningHeader);
+    if (choice) {
+      selected.set(pageNum, choice);
+    }
+  });
+  return selected;
+}
+
+/**
+ * Find pages that hold a second part: a run in the learned header style further down
+ * the page (cut across), or beside another header on the same line (cut down the middle)
+ * Only done once a header style is learned, other large text is too easily a title
+ * @param {Map<number, Array>} pageCandidates - Page number → candidates from extractHeaderCandidates
+ * @param {number} textPages - Number of pages with a text layer
+ * @returns {Map<number, {direction, from, to, candidate}>} Page number → where to look for the
+ *   cut line (from/to are fractions of the page height or width) and the second part's header
+ */
+export function findSectionHeaders(pageCandidates, textPages) {
+  const isRunningHeader = findRunningHeaders(pageCandidates, textPages);
+  const headerStyle = learnHeaderStyle(pageCandidates, isRunningHeader);
+  const sections = new Map();
+  if (!headerStyle) {
+    return sections;
+  }
+
+  pageCandidates.forEach((candidates, pageNum) => {
+    const headers = candidates
+      .filter(c => c.style === headerStyle.style && c.detection.confidence >= LOW_CONFIDENCE && !isRunningHeader(c))
+      .sort((a, b) => a.y - b.y || a.x - b.x);
+
+    // Two part names side by side at the top: "1st Trombone    2nd Trombone"
+    const left = headers.find(c => c.inHeaderZone && c.x < 0.5);
+    const right = left && headers.find(c => c !== left && c.x >= 0.5 && Math.abs(c.y - left.y) < SAME_LINE);
+    if (right && right.detection.name !== left.detection.name) {
+      sections.set(pageNum, { direction: 'vertical', from: left.endX, to: right.x, candidate: right });
+      return;
+    }
+
+    // A part name below the header zone, the cut goes in the gap above it
+    const lower = headers.find(c => !c.inHeaderZone);
+    if (lower) {
+      sections.set(pageNum, { direction: 'horizontal', from: Math.max(HEADER_ZONE, lower.top - 0.15), to: lower.top, candidate: lower });
+    }
+  });
+
+  return sections;
+}
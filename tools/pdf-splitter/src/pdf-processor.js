@@ -3,6 +3,9 @@
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
+import { DEFAULT_CATALOG_ID, getCatalog, getKeywordPattern } from './instruments.js';
+import { foldAccents, getLocalizedKeywordPattern } from './instrument-translations.js';
+import { getOCRPool } from './ocr-pool.js';
 
 // Configure PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
@@ -15,19 +18,89 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
  */
 export async function loadPDF(file) {
   const arrayBuffer = await file.arrayBuffer();
-  const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
+  const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer, ...getContextOptions() });
   return await loadingTask.promise;
 }
 
+// Inside a Web Worker there is no DOM: render with OffscreenCanvas and draw glyphs as paths
+const inWorker = typeof document === 'undefined';
+
+/**
+ * Create a canvas that works both on the page and inside a Web Worker
+ */
+function createCanvas(width, height) {
+  if (inWorker) {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * PDF.js canvas factory for the worker (the default one creates DOM canvases)
+ */
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d', { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * PDF.js filter factory for the worker: SVG filters need a document, skip them
+ */
+class NoFilterFactory {
+  addFilter() { return 'none'; }
+  addHCMFilter() { return 'none'; }
+  addAlphaFilter() { return 'none'; }
+  addLuminosityFilter() { return 'none'; }
+  addHighlightHCMFilter() { return 'none'; }
+  destroy() {}
+}
+
+/**
+ * Extra PDF.js getDocument options for the current context
+ */
+function getContextOptions() {
+  if (!inWorker) {
+    return {};
+  }
+  return {
+    disableFontFace: true,
+    CanvasFactory: OffscreenCanvasFactory,
+    FilterFactory: NoFilterFactory
+  };
+}
+
 /**
  * Extract text from a specific region of a PDF page
  * @param {PDFPageProxy} page - The PDF page
- * @param {Object} region - Region to extract from {x, y, width, height} as percentages (0-1)
+ * @param {Object|null} region - Region to extract from {x, y, width, height} as fractions (0-1)
+ *   of the page, measured from the top-left corner. null = automatic (top line of the page)
+ * @param {Object} catalog - Instrument catalog whose keywords identify the part name
  * @returns {Promise<string>} Extracted text
  */
-export async function extractTextFromRegion(page, region = { x: 0, y: 0, width: 0.3, height: 0.15 }) {
+export async function extractTextFromRegion(page, region = null, catalog = getCatalog(DEFAULT_CATALOG_ID)) {
   const textContent = await page.getTextContent();
 
+  if (region) {
+    return extractTextInsideRegion(page, textContent.items, region);
+  }
+
   // Find the actual Y coordinate range from text items
   const yCoords = textContent.items.map(item => item.transform[5]);
   const maxY = Math.max(...yCoords);
@@ -97,14 +170,15 @@ export async function extractTextFromRegion(page, region = { x: 0, y: 0, width:
 
     // Strategy: Look for instrument keywords in the top line
     // Sometimes the instrument name is centered, not left-aligned
-    const instrumentKeywords = /cornet|horn|baritone|trombone|euphonium|bass|tuba|percussion|timpani|flugel/i;
+    const instrumentKeywords = getKeywordPattern(catalog);
+    const localizedKeywords = getLocalizedKeywordPattern(); // "Posaune", "Schlagzeug", ...
 
     // Find the first item that contains an instrument keyword
-    // Remove punctuation from text before testing
+    // Remove punctuation from text before testing (after folding umlauts, so "Flügel" survives)
     let instrumentStartIdx = -1;
     for (let i = 0; i < lines[topLine].length; i++) {
-      const cleanStr = lines[topLine][i].str.replace(/[^\w\s]/g, ''); // Remove punctuation
-      if (instrumentKeywords.test(cleanStr)) {
+      const cleanStr = foldAccents(lines[topLine][i].str).replace(/[^\w\s]/g, ''); // Remove punctuation
+      if (instrumentKeywords.test(cleanStr) || localizedKeywords.test(cleanStr)) {
         instrumentStartIdx = i;
         break;
       }
@@ -149,16 +223,88 @@ export async function extractTextFromRegion(page, region = { x: 0, y: 0, width:
 }
 
 /**
- * Extract text from top-left corner of a page (where instrument names typically are)
+ * Collect the text items that fall inside a user-drawn region, one line per row
+ * Rotated text (e.g. a part name running up the left margin) is read along its baseline
  */
-export async function extractInstrumentNameFromPage(page) {
-  // Check top-left region (30% width, 15% height from top)
-  return await extractTextFromRegion(page, {
-    x: 0,
-    y: 0,
-    width: 0.3,
-    height: 0.15
+function extractTextInsideRegion(page, items, region) {
+  const viewport = page.getViewport({ scale: 1.0 });
+
+  const itemsInRegion = items.filter(item => {
+    if (!item.str.trim()) return false;
+    const [vx, vy] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+    const fx = vx / viewport.width;
+    const fy = vy / viewport.height;
+    return fx >= region.x && fx <= region.x + region.width &&
+      fy >= region.y && fy <= region.y + region.height;
   });
+
+  if (itemsInRegion.length === 0) {
+    return '';
+  }
+
+  // Rotated text: transform[1] (b) dominates transform[0] (a)
+  const rotatedCount = itemsInRegion.filter(item => Math.abs(item.transform[1]) > Math.abs(item.transform[0])).length;
+  if (rotatedCount > itemsInRegion.length / 2) {
+    // Text running bottom-to-top reads in increasing Y, top-to-bottom in decreasing Y
+    const direction = Math.sign(itemsInRegion[0].transform[1]) || 1;
+    return itemsInRegion
+      .sort((a, b) => direction * (a.transform[5] - b.transform[5]))
+      .map(item => item.str)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Horizontal text: group into lines (5 unit tolerance), top to bottom, left to right
+  const lines = [];
+  itemsInRegion
+    .sort((a, b) => b.transform[5] - a.transform[5])
+    .forEach(item => {
+      const line = lines.find(l => Math.abs(l.y - item.transform[5]) < 5);
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.transform[5], items: [item] });
+      }
+    });
+
+  return lines
+    .map(line => line.items
+      .sort((a, b) => a.transform[4] - b.transform[4])
+      .map(item => item.str)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .join('\n');
+}
+
+/**
+ * Text layer lines in the footer of a page (bottom 10%), top to bottom
+ * Used to read printed page numbers like "2/3" or "Page 2"
+ * @returns {Promise<Array<string>>} Empty for scanned pages
+ */
+export async function extractFooterLines(page) {
+  const textContent = await page.getTextContent();
+  const footer = { x: 0, y: 0.9, width: 1, height: 0.1 };
+  const text = extractTextInsideRegion(page, textContent.items, footer);
+  return text ? text.split('\n') : [];
+}
+
+/**
+ * Check whether a page has a usable text layer (scanned pages usually have none)
+ */
+export async function hasTextLayer(page) {
+  const textContent = await page.getTextContent();
+  const text = textContent.items.map(item => item.str).join('').replace(/\s+/g, '');
+  return text.length >= 3;
+}
+
+/**
+ * Extract the instrument name text from a page
+ * Uses the user-drawn detection region when set, otherwise the top line of the page
+ */
+export async function extractInstrumentNameFromPage(page, catalog, region = null) {
+  return await extractTextFromRegion(page, region, catalog);
 }
 
 /**
@@ -166,12 +312,9 @@ export async function extractInstrumentNameFromPage(page) {
  */
 export async function renderPageToCanvas(page, scale = 2.0) {
   const viewport = page.getViewport({ scale });
-  const canvas = document.createElement('canvas');
+  const canvas = createCanvas(viewport.width, viewport.height);
   const context = canvas.getContext('2d');
 
-  canvas.width = viewport.width;
-  canvas.height = viewport.height;
-
   await page.render({
     canvasContext: context,
     viewport: viewport
@@ -180,6 +323,146 @@ export async function renderPageToCanvas(page, scale = 2.0) {
   return canvas;
 }
 
+/**
+ * Measure how much of a page is covered with ink, on a small render
+ * A margin is ignored, so scanner edges and punch holes don't count
+ * @returns {Promise<number>} Fraction (0-1) of dark pixels
+ */
+export async function measureInkCoverage(page) {
+  const viewport = page.getViewport({ scale: 1.0 });
+  const canvas = await renderPageToCanvas(page, 150 / viewport.width);
+  const context = canvas.getContext('2d');
+
+  // Ignore a 6% margin on each side
+  const mx = Math.floor(canvas.width * 0.06);
+  const my = Math.floor(canvas.height * 0.06);
+  const width = canvas.width - 2 * mx;
+  const height = canvas.height - 2 * my;
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+
+  const { data } = context.getImageData(mx, my, width, height);
+  let inked = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    // Transparent pixels are unpainted paper
+    const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    if (data[i + 3] > 128 && luminance < 128) {
+      inked++;
+    }
+  }
+
+  canvas.width = 0;
+  canvas.height = 0;
+  return inked / (width * height);
+}
+
+/**
+ * Find the emptiest line of a page between two positions, for cutting it in two
+ * @param {PDFPageProxy} page - The PDF page
+ * @param {Object} cut - {direction: 'horizontal' | 'vertical', from, to}, fractions of the page
+ *   height (horizontal cut) or width (vertical cut) from the top-left
+ * @returns {Promise<number>} Position of the cut line, the middle of the widest gap
+ */
+export async function findCutLine(page, cut) {
+  const viewport = page.getViewport({ scale: 1.0 });
+  const canvas = await renderPageToCanvas(page, 300 / viewport.width);
+  const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  canvas.width = 0;
+  canvas.height = 0;
+
+  const vertical = cut.direction === 'vertical';
+  const length = vertical ? width : height;
+  const start = Math.max(0, Math.floor(Math.min(cut.from, cut.to) * length));
+  const end = Math.min(length - 1, Math.ceil(Math.max(cut.from, cut.to) * length));
+
+  // Dark pixels per row (or column) in the search window
+  const inkAt = (line) => {
+    let inked = 0;
+    const count = vertical ? height : width;
+    for (let i = 0; i < count; i++) {
+      const offset = vertical ? (i * width + line) * 4 : (line * width + i) * 4;
+      const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      if (data[offset + 3] > 128 && luminance < 128) inked++;
+    }
+    return inked;
+  };
+
+  // Widest run of the emptiest lines (a little ink is allowed, e.g. a page border)
+  const profile = [];
+  for (let line = start; line <= end; line++) {
+    profile.push(inkAt(line));
+  }
+  if (profile.length === 0) {
+    return cut.to;
+  }
+  const threshold = Math.min(...profile) + 2;
+  let best = { start: end, length: 0 };
+  let runStart = null;
+  profile.forEach((ink, i) => {
+    if (ink <= threshold) {
+      if (runStart === null) runStart = i;
+      if (i - runStart + 1 > best.length) {
+        best = { start: start + runStart, length: i - runStart + 1 };
+      }
+    } else {
+      runStart = null;
+    }
+  });
+
+  return (best.start + best.length / 2) / length;
+}
+
+// Header fingerprint size: ink density in a grid of cells over the header strip
+const FINGERPRINT_COLUMNS = 64;
+const FINGERPRINT_ROWS = 8;
+
+/**
+ * Fingerprint the header strip of a page, to compare headers visually when no text can be read
+ * @param {PDFPageProxy} page - The PDF page
+ * @param {Object|null} region - Header region {x, y, width, height} as fractions (0-1)
+ *   from the top-left corner. null = top 15% of the page
+ * @returns {Promise<{cells: Float32Array, columns: number, rows: number, ink: number}>}
+ *   cells holds the fraction of dark pixels per cell (row by row), ink the overall fraction
+ */
+export async function getHeaderFingerprint(page, region = null) {
+  const viewport = page.getViewport({ scale: 1.0 });
+  const canvas = await renderPageToCanvas(page, 400 / viewport.width);
+  const context = canvas.getContext('2d');
+
+  const { x, y, width, height } = region || { x: 0, y: 0, width: 1, height: 0.15 };
+  const sx = Math.floor(canvas.width * x);
+  const sy = Math.floor(canvas.height * y);
+  const sw = Math.max(1, Math.floor(canvas.width * width));
+  const sh = Math.max(1, Math.floor(canvas.height * height));
+  const { data } = context.getImageData(sx, sy, sw, sh);
+
+  const cells = new Float32Array(FINGERPRINT_COLUMNS * FINGERPRINT_ROWS);
+  const counts = new Float32Array(cells.length);
+  let inked = 0;
+  for (let py = 0; py < sh; py++) {
+    const row = Math.min(FINGERPRINT_ROWS - 1, Math.floor(py * FINGERPRINT_ROWS / sh));
+    for (let px = 0; px < sw; px++) {
+      const column = Math.min(FINGERPRINT_COLUMNS - 1, Math.floor(px * FINGERPRINT_COLUMNS / sw));
+      const i = (py * sw + px) * 4;
+      const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      const cell = row * FINGERPRINT_COLUMNS + column;
+      counts[cell]++;
+      if (data[i + 3] > 128 && luminance < 128) {
+        cells[cell]++;
+        inked++;
+      }
+    }
+  }
+  cells.forEach((value, cell) => {
+    cells[cell] = counts[cell] > 0 ? value / counts[cell] : 0;
+  });
+
+  canvas.width = 0;
+  canvas.height = 0;
+  return { cells, columns: FINGERPRINT_COLUMNS, rows: FINGERPRINT_ROWS, ink: inked / (sw * sh) };
+}
+
 /**
  * Get thumbnail for a page (for preview)
  */
@@ -189,35 +472,45 @@ export async function getPageThumbnail(page, maxWidth = 200) {
   return await renderPageToCanvas(page, scale);
 }
 
+// Part of the page read with OCR when no detection region is drawn: the top 15%, where part names are
+export const DEFAULT_OCR_REGION = { x: 0, y: 0, width: 1, height: 0.15 };
+
 /**
  * Extract text from page using OCR (fallback when no text layer exists)
+ * @param {PDFPageProxy} page - The PDF page
+ * @param {Object|null} region - Region to OCR {x, y, width, height} as fractions (0-1)
+ *   from the top-left corner. null = top 15% of the page
+ * @param {Object|null} pool - OCR pool from getOCRPool (default: the shared pool)
+ * @param {AbortSignal|null} signal - Stops waiting for the page to be read (rejects with an AbortError)
  */
-export async function extractTextWithOCR(page) {
-  // Dynamically import Tesseract.js
-  const { createWorker } = await import('https://cdn.jsdelivr.net/npm/tesseract.js@5/+esm');
-
+export async function extractTextWithOCR(page, region = null, pool = null, signal = null) {
   // Render page to canvas at higher resolution for better OCR
   const canvas = await renderPageToCanvas(page, 2.0);
 
-  // Crop to top portion only (where instrument names are)
-  const viewport = page.getViewport({ scale: 2.0 });
-  const cropCanvas = document.createElement('canvas');
+  // Crop to the detection region (default: top 15% of page, where instrument names are)
+  const { x, y, width, height } = region || DEFAULT_OCR_REGION;
+  const sx = Math.floor(canvas.width * x);
+  const sy = Math.floor(canvas.height * y);
+  const sw = Math.max(1, Math.floor(canvas.width * width));
+  const sh = Math.max(1, Math.floor(canvas.height * height));
+
+  // Tall, narrow region: a margin label reading bottom-to-top, rotate it upright for OCR
+  const rotate = sh > sw * 2;
+  const cropCanvas = rotate ? createCanvas(sh, sw) : createCanvas(sw, sh);
   const cropCtx = cropCanvas.getContext('2d');
 
-  // Crop to top 15% of page
-  const cropHeight = Math.floor(viewport.height * 0.15);
-  cropCanvas.width = viewport.width;
-  cropCanvas.height = cropHeight;
+  if (rotate) {
+    cropCtx.translate(sh, 0);
+    cropCtx.rotate(Math.PI / 2);
+  }
 
-  cropCtx.drawImage(canvas, 0, 0);
+  cropCtx.drawImage(canvas, sx, sy, sw, sh, 0, 0, sw, sh);
 
-  // Initialize Tesseract worker
-  const worker = await createWorker('eng');
+  // Release the full-page render right away, several pages are OCR'd at once
+  canvas.width = 0;
+  canvas.height = 0;
 
-  try {
-    const { data: { text } } = await worker.recognize(cropCanvas);
-    return text.trim();
-  } finally {
-    await worker.terminate();
-  }
+  // Recognize on the shared worker pool (started once, reused for every page)
+  const ocr = pool || await getOCRPool();
+  return await ocr.recognize(cropCanvas, signal);
 }
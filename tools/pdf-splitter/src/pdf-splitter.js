@@ -2,59 +2,289 @@
  * PDF splitting logic
  */
 
-import { PDFDocument } from 'pdf-lib';
-import { extractInstrumentNameFromPage, extractTextWithOCR } from './pdf-processor.js';
+import { PDFDocument, degrees } from 'pdf-lib';
+import {
+  extractFooterLines,
+  extractInstrumentNameFromPage,
+  extractTextWithOCR,
+  findCutLine,
+  getHeaderFingerprint,
+  hasTextLayer,
+  measureInkCoverage,
+  DEFAULT_OCR_REGION
+} from './pdf-processor.js';
+import { getOCRPool, getDefaultOCRWorkerCount } from './ocr-pool.js';
+import { detectPartsFromStructure } from './pdf-structure.js';
+import { extractHeaderCandidates, findSectionHeaders, selectPartHeaders, HEADER_ZONE } from './part-headers.js';
+import { getSectionHalves, sectionToBox } from './page-sections.js';
+import { findHeaderBoundaries } from './header-similarity.js';
+import { parsePageNumber, validateSplitsWithPageNumbers } from './page-numbering.js';
+import { setPieceMetadata, setPartMetadata } from './piece-info.js';
 import { detectInstrument, sanitizeInstrumentName } from './instrument-detector.js';
+import { DEFAULT_CATALOG_ID, getCatalog } from './instruments.js';
+import { localizeInstrumentName } from './instrument-translations.js';
+import { getScoreNumbers } from './score-order.js';
+import { renderFilename } from '../../../filename-template.js';
+
+// Pages with less ink than this (fraction of the page) are blank page-turn fillers or empty backs
+export const BLANK_INK_COVERAGE = 0.003;
+
+// Names of the split files until the user sets another template
+export const DEFAULT_FILENAME_TEMPLATE = '{title}-{instrument}';
 
 /**
  * Analyze a PDF and detect instrument splits
  * @param {PDFDocumentProxy} pdfDoc - PDF.js document
- * @param {Function} progressCallback - Optional callback for OCR progress
- * @returns {Promise<Array>} Array of splits: [{instrument, startPage, endPage, pages: []}]
+ * @param {Function} progressCallback - Optional callback for progress ({currentPage, total, useOCR})
+ *   During OCR it also receives {completed, ocrTotal}, pages finish out of order
+ * @param {Object} options - Detection options
+ * @param {string} options.catalogId - Instrument catalog to detect against (default: brass band)
+ * @param {Object} options.region - User-drawn detection region {x, y, width, height} (fractions, from top-left)
+ * @param {number} options.ocrWorkers - Number of parallel OCR workers (default: based on CPU cores)
+ * @param {AbortSignal} options.signal - Stops the analysis (rejects with an AbortError)
+ * @param {Function} options.onPartialResult - Receives the splits found so far while OCR is running
+ * @param {boolean} options.detectBlankPages - Flag blank pages in the splits (default: true)
+ * @param {string} options.mode - 'auto' uses the PDF bookmarks or page labels when they name the parts,
+ *   falling back to the page content; 'content' always reads the page content (default: 'auto')
+ * @param {Map} options.diagnostics - Filled with what detection saw on each page, for the diagnostics
+ *   view: page number → {method, region, line, text, detection, candidates, cut}, see diagnosePage
+ * @returns {Promise<Array>} Array of splits: [{instrument, confidence, sourceText, detectionMethod, startPage, endPage, pages: [],
+ *   blankPages: [], keepBlankPages, warnings: []}], plus instruments for combined parts and key
+ *   ("Bb", "bass clef") when the part name prints one
+ *   detectionMethod is 'outline', 'label', 'text' or 'ocr' (what found the part name), 'visual' for an Unknown
+ *   split started by a change in the page header, null for other Unknown splits
+ *   blankPages lists the blank pages of the split, dropped from the output unless keepBlankPages is set
+ *   warnings lists disagreements with the printed page numbers (see validateSplitsWithPageNumbers)
  */
-export async function analyzePDF(pdfDoc, progressCallback = null) {
-  const splits = [];
-  let currentInstrument = null;
-  let currentSplit = null;
-  let useOCR = false;
+export async function analyzePDF(pdfDoc, progressCallback = null, options = {}) {
+  const catalog = getCatalog(options.catalogId || DEFAULT_CATALOG_ID);
+  const region = options.region || null;
+  const checkAborted = () => {
+    if (options.signal) options.signal.throwIfAborted();
+  };
 
-  // Check first page to see if we need OCR
-  const firstPage = await pdfDoc.getPage(1);
-  const firstPageText = await extractInstrumentNameFromPage(firstPage);
-  const firstDetection = detectInstrument(firstPageText);
+  const total = pdfDoc.numPages;
+  const detections = new Array(total + 1).fill(null); // 1-based: {detection, detectionMethod}
+  const ocrPages = [];
+  const blankPages = new Set();
+  const headerCandidates = new Map(); // page → part header candidates (text layer, no region)
+  const sections = new Map(); // page → {cut, detection} for pages holding two parts
+  let textPages = 0;
+  const pageNumbers = new Map(); // page → printed page number from the footer
+  const detectBlankPages = options.detectBlankPages !== false;
+  const diagnose = (pageNum, info) => diagnosePage(options.diagnostics, pageNum, info);
 
-  if (!firstDetection || firstPageText.length < 3) {
-    // No text found or very little text - enable OCR
-    useOCR = true;
-    if (progressCallback) {
-      progressCallback({ useOCR: true, total: pdfDoc.numPages });
-    }
+  // Bookmarks or page labels naming the parts are exact, no need to read the pages
+  const structure = options.mode === 'content' ? null : await detectPartsFromStructure(pdfDoc, catalog);
+  if (structure) {
+    console.log(`📑 Using PDF ${structure.method === 'outline' ? 'bookmarks' : 'page labels'} (${structure.starts.size} parts)`);
   }
 
-  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+  // Pass 1: try the text layer of every page (fast, sequential)
+  for (let pageNum = 1; pageNum <= total; pageNum++) {
+    checkAborted();
     const page = await pdfDoc.getPage(pageNum);
 
     if (progressCallback) {
-      progressCallback({ currentPage: pageNum, total: pdfDoc.numPages, useOCR });
+      progressCallback({ currentPage: pageNum, total, useOCR: false });
     }
 
-    let text;
-    if (useOCR) {
-      text = await extractTextWithOCR(page);
+    if (structure) {
+      if (structure.starts.has(pageNum)) {
+        const detection = structure.starts.get(pageNum);
+        detections[pageNum] = { detection, detectionMethod: structure.method };
+        diagnose(pageNum, { method: structure.method, text: detection.sourceText, detection });
+      } else if (detectBlankPages && await measureInkCoverage(page) < BLANK_INK_COVERAGE) {
+        blankPages.add(pageNum);
+        diagnose(pageNum, { method: 'blank' });
+      }
+      continue;
+    }
+
+    // A drawn region says where the part name is, otherwise part headers are found by style
+    let detection = null;
+    if (region) {
+      const text = await extractInstrumentNameFromPage(page, catalog, region);
+      detection = detectInstrument(text, catalog);
+      diagnose(pageNum, { method: 'text', region, text, detection });
     } else {
-      text = await extractInstrumentNameFromPage(page);
+      const candidates = await extractHeaderCandidates(page, catalog);
+      if (candidates.length > 0) {
+        headerCandidates.set(pageNum, candidates);
+        const top = candidates.find(candidate => candidate.inHeaderZone);
+        detection = top ? top.detection : null;
+      }
+      diagnose(pageNum, {
+        method: 'text',
+        region: { x: 0, y: 0, width: 1, height: HEADER_ZONE },
+        candidates: candidates.slice(0, 5).map(candidate => ({
+          text: candidate.text,
+          style: candidate.style,
+          score: candidate.score,
+          name: candidate.detection.name,
+          confidence: candidate.detection.confidence,
+          line: getRunBox(candidate)
+        }))
+      });
     }
 
-    const detectedInstrument = detectInstrument(text);
+    // Printed page numbers ("2/3", "Page 2") check the boundaries once all pages are read
+    const printed = parsePageNumber(await extractFooterLines(page));
+    if (printed) {
+      pageNumbers.set(pageNum, printed);
+    }
 
-    // Debug logging - show all pages
-    if (useOCR) {
-      if (detectedInstrument) {
-        console.log(`📄 Page ${pageNum} (OCR): ✓ "${detectedInstrument}" from: "${text}"`);
-      } else {
-        console.log(`📄 Page ${pageNum} (OCR): ✗ No instrument (OCR text: "${text}")`);
+    if (detection) {
+      textPages++;
+      detections[pageNum] = { detection, detectionMethod: 'text' };
+    } else if (detectBlankPages && await measureInkCoverage(page) < BLANK_INK_COVERAGE) {
+      // Blank page: nothing to detect, and no need to OCR it
+      blankPages.add(pageNum);
+      diagnose(pageNum, { method: 'blank' });
+    } else if (!(await hasTextLayer(page))) {
+      // Fall back to OCR only on pages without a usable text layer (e.g. scans behind a typeset cover)
+      // Typeset continuation pages have text but no part name, and don't need OCR
+      ocrPages.push(pageNum);
+    } else {
+      textPages++;
+    }
+  }
+
+  // Keep the part headers that match the header style of the document
+  if (headerCandidates.size > 0) {
+    const headers = selectPartHeaders(headerCandidates, textPages);
+    headerCandidates.forEach((candidates, pageNum) => {
+      const header = headers.get(pageNum);
+      detections[pageNum] = header ? { detection: header.detection, detectionMethod: 'text' } : null;
+      diagnose(pageNum, header
+        ? { text: header.text, line: getRunBox(header), detection: header.detection }
+        : { detection: null });
+    });
+
+    // A second part header lower on the page (or beside the first): cut the page in two
+    for (const [pageNum, section] of findSectionHeaders(headerCandidates, textPages)) {
+      checkAborted();
+      const position = await findCutLine(await pdfDoc.getPage(pageNum), section);
+      console.log(`✂ Page ${pageNum}: ${section.candidate.detection.name} starts at ${Math.round(position * 100)}% (${section.direction} cut)`);
+      sections.set(pageNum, { cut: { direction: section.direction, position }, detection: section.candidate.detection });
+      diagnose(pageNum, { cut: { direction: section.direction, position, name: section.candidate.detection.name } });
+    }
+  }
+
+  // Pass 2: OCR the remaining pages concurrently on the worker pool
+  if (ocrPages.length > 0) {
+    // Text layer results are usable while the scans are still being read
+    if (options.onPartialResult) {
+      options.onPartialResult(buildSplits(detections, total, blankPages, sections));
+    }
+
+    const pool = await getOCRPool(options.ocrWorkers || getDefaultOCRWorkerCount());
+    let completed = 0;
+
+    if (progressCallback) {
+      progressCallback({ useOCR: true, completed, ocrTotal: ocrPages.length, total });
+    }
+
+    // One runner per worker, so only as many pages are rendered as can be recognized at once
+    const queue = [...ocrPages];
+    const runner = async () => {
+      while (queue.length > 0) {
+        checkAborted();
+        const pageNum = queue.shift();
+        const page = await pdfDoc.getPage(pageNum);
+        const text = await extractTextWithOCR(page, region, pool, options.signal);
+        const detection = detectInstrument(text, catalog);
+        detections[pageNum] = { detection, detectionMethod: 'ocr' };
+        diagnose(pageNum, { method: 'ocr', region: region || DEFAULT_OCR_REGION, text, line: null, detection });
+
+        // Debug logging - show all OCR'd pages
+        if (detection) {
+          console.log(`📄 Page ${pageNum} (OCR): ✓ "${detection.name}" (${Math.round(detection.confidence * 100)}%) from: "${text}"`);
+        } else {
+          console.log(`📄 Page ${pageNum} (OCR): ✗ No instrument (OCR text: "${text}")`);
+        }
+
+        completed++;
+        if (progressCallback) {
+          progressCallback({ currentPage: pageNum, useOCR: true, completed, ocrTotal: ocrPages.length, total });
+        }
+        if (options.onPartialResult) {
+          options.onPartialResult(buildSplits(detections, total, blankPages, sections));
+        }
       }
+    };
+    await Promise.all(Array.from({ length: Math.min(pool.size, ocrPages.length) }, runner));
+    checkAborted();
+  }
+
+  // Pass 3: where OCR read no name, a sharp change in the header strip still marks a new part
+  if (ocrPages.some(pageNum => !detections[pageNum].detection)) {
+    const fingerprints = new Map();
+    for (const pageNum of ocrPages) {
+      checkAborted();
+      fingerprints.set(pageNum, await getHeaderFingerprint(await pdfDoc.getPage(pageNum), region));
     }
+    findHeaderBoundaries(fingerprints).forEach(pageNum => {
+      if (!detections[pageNum].detection) {
+        detections[pageNum] = { detection: { name: 'Unknown', confidence: 0, sourceText: '' }, detectionMethod: 'visual' };
+        diagnose(pageNum, { method: 'visual' });
+      }
+    });
+  }
+
+  // Boundaries on pages printed as "Page 2" are dropped, disagreements are flagged
+  const splits = validateSplitsWithPageNumbers(buildSplits(detections, total, blankPages, sections), pageNumbers);
+
+  // Summary
+  console.log('\n📊 Split Summary:');
+  splits.forEach((split, idx) => {
+    const pageCount = split.pages.length;
+    const pageRange = split.startPage === split.endPage
+      ? `page ${split.startPage}`
+      : `pages ${split.startPage}-${split.endPage}`;
+    console.log(`  ${idx + 1}. ${split.instrument} (${pageRange}, ${pageCount} page${pageCount > 1 ? 's' : ''})`);
+  });
+
+  return splits;
+}
+
+/**
+ * Record what detection saw on a page, for the diagnostics view (nothing when no map is given)
+ * Later passes add to what earlier ones recorded
+ * @param {Map|undefined} diagnostics - Page number → {method, region, line, text, detection, candidates, cut}:
+ *   method is 'text', 'ocr', 'outline', 'label', 'blank' or 'visual'; region the part of the page that
+ *   was read and line the text run the name was taken from ({x, y, width, height} fractions from the
+ *   top-left); text the raw text (OCR output, bookmark title); detection the match from detectInstrument;
+ *   candidates the best part header candidates with their score; cut a second part found on the page
+ */
+function diagnosePage(diagnostics, pageNum, info) {
+  if (!diagnostics) return;
+  diagnostics.set(pageNum, { ...(diagnostics.get(pageNum) || {}), ...info });
+}
+
+/**
+ * Box of a part header candidate, from its baseline and top ({x, y, width, height} fractions)
+ */
+function getRunBox(run) {
+  return { x: run.x, y: run.top, width: run.endX - run.x, height: run.y - run.top };
+}
+
+/**
+ * Turn per-page detections into splits, in page order
+ * @param {Array} detections - 1-based per-page {detection, detectionMethod}, null where nothing was found
+ * @param {number} total - Number of pages
+ * @param {Set} blankPages - Blank page numbers (they stay in their split, flagged)
+ * @param {Map} sections - Pages holding two parts: page → {cut, detection} of the second part
+ */
+function buildSplits(detections, total, blankPages, sections = new Map()) {
+  const splits = [];
+  let currentInstrument = null;
+  let currentSplit = null;
+
+  for (let pageNum = 1; pageNum <= total; pageNum++) {
+    const detection = detections[pageNum] ? detections[pageNum].detection : null;
+    const detectionMethod = detections[pageNum] ? detections[pageNum].detectionMethod : null;
+    const detectedInstrument = detection ? detection.name : null;
 
     // Decision logic:
     // 1. If we detect an instrument name, ALWAYS start a new split (even if same as current)
@@ -65,7 +295,10 @@ export async function analyzePDF(pdfDoc, progressCallback = null) {
       // Detected an instrument name on this page
 
       // Check if this is actually a NEW split (different instrument or first occurrence)
-      const isNewSplit = !currentInstrument || detectedInstrument !== currentInstrument;
+      // A visual boundary has no name to compare, it always starts a split
+      // So does the same part in another key or clef ("1st Trombone" in treble, then in bass clef)
+      const isNewSplit = !currentInstrument || detectedInstrument !== currentInstrument || detectionMethod === 'visual' ||
+        (detection.key && currentSplit.key && detection.key !== currentSplit.key);
 
       if (isNewSplit) {
         // Save previous split if exists
@@ -78,10 +311,21 @@ export async function analyzePDF(pdfDoc, progressCallback = null) {
         currentInstrument = detectedInstrument;
         currentSplit = {
           instrument: detectedInstrument,
+          confidence: detection.confidence,
+          sourceText: detection.sourceText,
+          detectionMethod,
           startPage: pageNum,
           endPage: pageNum,
-          pages: [pageNum]
+          pages: [pageNum],
+          sections: {}
         };
+        // A combined part ("2nd & 3rd Cornet") is output once per player
+        if (detection.names) {
+          currentSplit.instruments = detection.names;
+        }
+        if (detection.key) {
+          currentSplit.key = detection.key;
+        }
       } else {
         // Same instrument detected - this means the instrument name repeats
         // (e.g., "1st Euphonium" appears on multiple consecutive pages)
@@ -100,12 +344,42 @@ export async function analyzePDF(pdfDoc, progressCallback = null) {
         currentInstrument = 'Unknown';
         currentSplit = {
           instrument: 'Unknown',
+          confidence: 0,
+          sourceText: '',
+          detectionMethod: null,
           startPage: pageNum,
           endPage: pageNum,
-          pages: [pageNum]
+          pages: [pageNum],
+          sections: {}
         };
       }
     }
+
+    // Two parts on this page: the current split ends with the first half, the next starts with the second
+    const section = sections.get(pageNum);
+    if (section) {
+      const [first, second] = getSectionHalves(section.cut);
+      currentSplit.sections[pageNum] = first;
+      splits.push(currentSplit);
+
+      currentInstrument = section.detection.name;
+      currentSplit = {
+        instrument: section.detection.name,
+        confidence: section.detection.confidence,
+        sourceText: section.detection.sourceText,
+        detectionMethod: 'text',
+        startPage: pageNum,
+        endPage: pageNum,
+        pages: [pageNum],
+        sections: { [pageNum]: second }
+      };
+      if (section.detection.names) {
+        currentSplit.instruments = section.detection.names;
+      }
+      if (section.detection.key) {
+        currentSplit.key = section.detection.key;
+      }
+    }
   }
 
   // Don't forget the last split
@@ -113,60 +387,141 @@ export async function analyzePDF(pdfDoc, progressCallback = null) {
     splits.push(currentSplit);
   }
 
-  // Summary
-  console.log('\n📊 Split Summary:');
-  splits.forEach((split, idx) => {
-    const pageCount = split.pages.length;
-    const pageRange = split.startPage === split.endPage
-      ? `page ${split.startPage}`
-      : `pages ${split.startPage}-${split.endPage}`;
-    console.log(`  ${idx + 1}. ${split.instrument} (${pageRange}, ${pageCount} page${pageCount > 1 ? 's' : ''})`);
+  // Flag blank pages, dropped from the output by default
+  splits.forEach(split => {
+    split.blankPages = split.pages.filter(page => blankPages.has(page));
+    split.keepBlankPages = false;
   });
 
   return splits;
 }
 
+/**
+ * Pages that go into a split's PDF: its pages without the blank ones, unless those are kept
+ * A split made only of blank pages keeps them, rather than producing an empty PDF
+ */
+export function getOutputPages(split) {
+  if (split.keepBlankPages || !split.blankPages || split.blankPages.length === 0) {
+    return split.pages;
+  }
+  const pages = split.pages.filter(page => !split.blankPages.includes(page));
+  return pages.length > 0 ? pages : split.pages;
+}
+
+/**
+ * Instruments a split is output for: every player of a combined part, otherwise its instrument
+ */
+export function getSplitInstruments(split) {
+  return split.instruments && split.instruments.length > 0 ? split.instruments : [split.instrument];
+}
+
+/**
+ * Add a split's output pages to a new PDF
+ * Whole pages are copied, sectioned pages are embedded cropped to their section
+ * and drawn on a page of that size
+ * @param {PDFDocument} newPdf - pdf-lib document to add the pages to
+ * @param {PDFDocument} sourcePdf - pdf-lib document of the original PDF
+ * @param {Object} split - Split with pages and optional sections
+ */
+export async function addOutputPages(newPdf, sourcePdf, split) {
+  const pages = getOutputPages(split);
+  const sections = split.sections || {};
+
+  const wholePages = pages.filter(page => !sections[page]);
+  const copiedPages = await newPdf.copyPages(sourcePdf, wholePages.map(p => p - 1)); // pdf-lib uses 0-based indexing
+
+  let nextCopied = 0;
+  for (const pageNumber of pages) {
+    const section = sections[pageNumber];
+    if (!section) {
+      newPdf.addPage(copiedPages[nextCopied++]);
+      continue;
+    }
+
+    const sourcePage = sourcePdf.getPage(pageNumber - 1);
+    const rotation = sourcePage.getRotation().angle;
+    const box = sectionToBox(section, sourcePage.getCropBox(), rotation);
+    const embedded = await newPdf.embedPage(sourcePage, box);
+    const page = newPdf.addPage([box.right - box.left, box.top - box.bottom]);
+    page.drawPage(embedded, { x: 0, y: 0 });
+    page.setRotation(degrees(rotation));
+  }
+}
+
+/**
+ * Name the output files of the splits from the filename template
+ * {order} is the number of the file in score order; numberFiles puts it in front of
+ * templates that don't use it ("01-Better-Soprano-Cornet.pdf")
+ * @param {Array<{instrument: string, split: Object}>} files - One entry per output file
+ * @param {Object} options - {filenameTemplate, baseFilename, source, filenameLanguage, numberFiles, catalogId}
+ * @returns {Array<string>} Filenames, in the order of files
+ */
+export function nameOutputFiles(files, options) {
+  const template = options.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+  const numberedTemplate = options.numberFiles && !template.includes('{order}') ? `{order}-${template}` : template;
+  const numbers = getScoreNumbers(files.map(file => file.instrument), getCatalog(options.catalogId));
+
+  return files.map((file, i) => renderFilename(numberedTemplate, {
+    title: options.baseFilename,
+    instrument: localizeInstrumentName(file.instrument, options.filenameLanguage),
+    order: numbers[i],
+    key: file.split.key,
+    source: options.source
+  }));
+}
+
 /**
  * Generate split PDFs from the original PDF
  * @param {File} originalFile - Original PDF file
  * @param {Array} splits - Array of splits from analyzePDF
- * @returns {Promise<Array>} Array of {filename, blob} objects
+ * @param {Object} options - Output options
+ * @param {string} options.filenameLanguage - Language for instrument names in filenames (default: 'en')
+ * @param {string} options.baseFilename - Base filename for the split files, {title} (default: original filename)
+ * @param {string} options.filenameTemplate - Filename template (default: DEFAULT_FILENAME_TEMPLATE)
+ * @param {Object} options.pieceInfo - {title, composer, arranger} written as document metadata,
+ *   with the instruments and key of each part as keywords
+ * @param {boolean} options.numberFiles - Prefix the filenames with their number in score order ("01-")
+ * @param {string} options.catalogId - Catalog whose score order numbers the files
+ * @param {AbortSignal} options.signal - Stops the generation (rejects with an AbortError)
+ * @returns {Promise<Array>} Array of {filename, blob, split, instrument} objects, one per
+ *   instrument of each split (a combined part gives several files with the same pages)
  */
-export async function generateSplitPDFs(originalFile, splits) {
+export async function generateSplitPDFs(originalFile, splits, options = {}) {
   const arrayBuffer = await originalFile.arrayBuffer();
   const pdfDoc = await PDFDocument.load(arrayBuffer);
 
   const results = [];
-  const baseFilename = originalFile.name.replace(/\.pdf$/i, '');
+  const baseFilename = options.baseFilename || originalFile.name.replace(/\.pdf$/i, '');
 
   for (const split of splits) {
+    if (options.signal) options.signal.throwIfAborted();
     const newPdf = await PDFDocument.create();
 
-    // Copy pages for this split
-    const copiedPages = await newPdf.copyPages(
-      pdfDoc,
-      split.pages.map(p => p - 1) // pdf-lib uses 0-based indexing
-    );
-
-    copiedPages.forEach(page => newPdf.addPage(page));
+    // Copy pages for this split (blank pages are left out unless kept)
+    await addOutputPages(newPdf, pdfDoc, split);
+    setPieceMetadata(newPdf, options.pieceInfo);
+    setPartMetadata(newPdf, split);
 
     const pdfBytes = await newPdf.save();
     const blob = new Blob([pdfBytes], { type: 'application/pdf' });
 
-    // Generate filename preserving capitalization
-    const sanitizedInstrument = split.instrument
-      .replace(/[^\w\s-]/g, '') // Remove special chars except spaces and hyphens
-      .replace(/\s+/g, '-')     // Replace spaces with hyphens
-      .replace(/-+/g, '-');     // Collapse multiple hyphens
-
-    const filename = `${baseFilename}-${sanitizedInstrument}.pdf`;
-
-    results.push({
-      filename,
-      blob,
-      split
-    });
+    for (const instrument of getSplitInstruments(split)) {
+      results.push({
+        blob,
+        split,
+        instrument
+      });
+    }
   }
 
+  const filenames = nameOutputFiles(results, {
+    ...options,
+    baseFilename,
+    source: originalFile.name.replace(/\.pdf$/i, '')
+  });
+  results.forEach((result, i) => {
+    result.filename = filenames[i];
+  });
+
   return results;
 }
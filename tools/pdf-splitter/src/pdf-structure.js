@@ -0,0 +1,107 @@
+/**
+ * Part detection from the PDF's own structure: outline (bookmarks) and page labels
+ * Publisher PDFs often carry one bookmark or label run per part, which is exact and needs no OCR
+ */
+
+import { detectInstrument } from './instrument-detector.js';
+
+// At least this many parts must be found for the structure to be trusted
+const MIN_PARTS = 2;
+
+/**
+ * Find part start pages from the outline, or else from the page labels
+ * @param {PDFDocumentProxy} pdfDoc - PDF.js document
+ * @param {Object} catalog - Instrument catalog to match titles against
+ * @returns {Promise<{method: string, starts: Map}|null>} method is 'outline' or 'label',
+ *   starts maps 1-based page numbers to detections; null when the PDF has no usable structure
+ */
+export async function detectPartsFromStructure(pdfDoc, catalog) {
+  const fromOutline = await getOutlineStarts(pdfDoc, catalog);
+  if (fromOutline.size >= MIN_PARTS) {
+    return { method: 'outline', starts: fromOutline };
+  }
+
+  const fromLabels = await getPageLabelStarts(pdfDoc, catalog);
+  if (fromLabels.size >= MIN_PARTS) {
+    return { method: 'label', starts: fromLabels };
+  }
+
+  return null;
+}
+
+/**
+ * Part starts from outline entries whose title is an instrument name
+ * Nested outlines (piece → parts) are flattened, entries that aren't parts are ignored
+ */
+async function getOutlineStarts(pdfDoc, catalog) {
+  const starts = new Map();
+  const outline = await pdfDoc.getOutline();
+  if (!outline) {
+    return starts;
+  }
+
+  const visit = async (items) => {
+    for (const item of items) {
+      const detection = detectInstrument(item.title, catalog);
+      if (detection) {
+        const pageNumber = await resolveDestinationPage(pdfDoc, item.dest);
+        // First bookmark wins when several point to the same page
+        if (pageNumber && !starts.has(pageNumber)) {
+          starts.set(pageNumber, detection);
+        }
+      }
+      if (item.items && item.items.length > 0) {
+        await visit(item.items);
+      }
+    }
+  };
+  await visit(outline);
+
+  return starts;
+}
+
+/**
+ * Resolve an outline destination (named or explicit) to a 1-based page number
+ */
+async function resolveDestinationPage(pdfDoc, dest) {
+  try {
+    const explicitDest = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest) || explicitDest.length === 0) {
+      return null;
+    }
+
+    const target = explicitDest[0];
+    // Either a page reference or a 0-based page index
+    const pageIndex = typeof target === 'object' ? await pdfDoc.getPageIndex(target) : target;
+    return Number.isInteger(pageIndex) ? pageIndex + 1 : null;
+  } catch (error) {
+    console.warn('Could not resolve outline destination:', error);
+    return null;
+  }
+}
+
+/**
+ * Part starts from page labels such as "Solo Cornet 1", "Solo Cornet 2", "Repiano-1"
+ * A new part starts wherever the label text (without its trailing page number) changes
+ */
+async function getPageLabelStarts(pdfDoc, catalog) {
+  const starts = new Map();
+  const labels = await pdfDoc.getPageLabels();
+  if (!labels) {
+    return starts;
+  }
+
+  let previousPrefix = null;
+  labels.forEach((label, index) => {
+    const prefix = (label || '').replace(/[\s\-_.:/]*\d+$/, '').trim();
+    if (prefix && prefix !== previousPrefix) {
+      const detection = detectInstrument(prefix, catalog);
+      if (detection) {
+        starts.set(index + 1, detection);
+      }
+    }
+    previousPrefix = prefix;
+  });
+
+  return starts;
+}
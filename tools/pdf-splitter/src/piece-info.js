@@ -0,0 +1,170 @@
+/**
+ * Piece title, composer and arranger, read from the first page of a score
+ */
+
+import { DEFAULT_CATALOG_ID, getCatalog } from './instruments.js';
+import { detectInstrument } from './instrument-detector.js';
+import { foldAccents } from './instrument-translations.js';
+
+// "Arranged by John Smith", "arr. J. Smith", "Bearbeitung: ...", "Transcribed by ..."
+const ARRANGER_PATTERN = /\b(?:arr(?:anged)?|arrangement|arrangiert|bearb(?:eitet|eitung)?|transcribed|transcription)\b\.?\s*(?:by|von|par|de|:)?\s*(.*)$/i;
+
+// "Music by ...", "Composed by ...", "Komponist: ...", "Musique de ..."
+const COMPOSER_PATTERN = /^(?:music\s+by|composed\s+by|composer|by|komponist|musik|musique(?:\s+de)?|composé\s+par)\b\.?\s*:?\s*(.+)$/i;
+
+// Lyricists, copyright and publisher lines are never the composer
+const OTHER_CREDIT_PATTERN = /\b(?:words|lyrics|text|copyright|publish|edition|verlag|all rights)\b|©/i;
+
+/**
+ * Group the text items of a page into lines (5 unit tolerance), top to bottom
+ * @returns {Array<{text: string, size: number, y: number, minX: number, maxX: number}>}
+ */
+function groupLines(items) {
+  const lines = [];
+  items
+    .filter(item => item.str.trim())
+    .sort((a, b) => b.transform[5] - a.transform[5])
+    .forEach(item => {
+      const line = lines.find(l => Math.abs(l.y - item.transform[5]) < 5);
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.transform[5], items: [item] });
+      }
+    });
+
+  return lines.map(line => {
+    line.items.sort((a, b) => a.transform[4] - b.transform[4]);
+    return {
+      text: line.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim(),
+      // Font size is the vertical scale of the text matrix
+      size: Math.max(...line.items.map(item => Math.hypot(item.transform[2], item.transform[3]))),
+      y: line.y,
+      minX: line.items[0].transform[4],
+      maxX: Math.max(...line.items.map(item => item.transform[4] + item.width))
+    };
+  });
+}
+
+/**
+ * Tidy a name read from a credit line ("J. Smith." → "J. Smith")
+ */
+function cleanName(text) {
+  return text.replace(/^[\s,;:-]+|[\s,;:.-]+$/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Extract the piece title, composer and arranger from the first page of a score
+ * The title is the largest text in the top half of the page (lines that are part
+ * names are skipped), composer and arranger come from their credit lines, or
+ * for the composer from a right-aligned name near the top
+ * @param {PDFPageProxy} page - First page of the PDF
+ * @param {Object} catalog - Instrument catalog, used to skip the part name line
+ * @returns {Promise<{title: string, composer: string, arranger: string}>} Empty strings when not found
+ */
+export async function extractPieceInfo(page, catalog = getCatalog(DEFAULT_CATALOG_ID)) {
+  const info = { title: '', composer: '', arranger: '' };
+  const textContent = await page.getTextContent();
+  const [, bottom, right, top] = page.view;
+  const midY = (top + bottom) / 2;
+  const topThird = top - (top - bottom) / 3;
+
+  const isPartName = (text) => {
+    const detection = detectInstrument(text, catalog);
+    return detection !== null && detection.confidence === 1;
+  };
+
+  const lines = groupLines(textContent.items)
+    .filter(line => line.y >= midY && /\p{L}{2}/u.test(line.text));
+  const candidates = [];
+
+  for (const line of lines) {
+    const arrangerMatch = line.text.match(ARRANGER_PATTERN);
+    if (arrangerMatch) {
+      if (!info.arranger) {
+        info.arranger = cleanName(arrangerMatch[1]);
+        // "John Smith arr. Jane Doe": the composer comes first on the same line
+        const before = cleanName(line.text.slice(0, arrangerMatch.index));
+        if (before && !info.composer && !COMPOSER_PATTERN.test(line.text)) {
+          info.composer = before;
+        }
+      }
+      continue;
+    }
+
+    const composerMatch = line.text.match(COMPOSER_PATTERN);
+    if (composerMatch) {
+      if (!info.composer) {
+        info.composer = cleanName(composerMatch[1]);
+      }
+      continue;
+    }
+
+    if (!OTHER_CREDIT_PATTERN.test(line.text) && !isPartName(line.text)) {
+      candidates.push(line);
+    }
+  }
+
+  if (candidates.length === 0) {
+    return info;
+  }
+
+  // Title: the largest text, including a second line set in the same size
+  const titleSize = Math.max(...candidates.map(line => line.size));
+  const titleLines = candidates.filter(line => titleSize - line.size < 0.5);
+  info.title = cleanName(titleLines.map(line => line.text).join(' '));
+
+  // Composer without a credit label: a right-aligned line near the top of the page
+  if (!info.composer) {
+    const credit = candidates.find(line =>
+      !titleLines.includes(line) &&
+      line.y >= topThird &&
+      line.minX > right / 2 &&
+      line.text.length < 40
+    );
+    if (credit) {
+      info.composer = cleanName(credit.text);
+    }
+  }
+
+  return info;
+}
+
+/**
+ * Base filename for the split files, from the piece title and composer
+ * @returns {string|null} e.g. "Cornet-Carillon-Binge", or null when no title was found
+ */
+export function getPieceBaseFilename(info) {
+  if (!info || !info.title) {
+    return null;
+  }
+  return foldAccents([info.title, info.composer].filter(Boolean).join(' '))
+    .replace(/[^\w\s-]/g, '') // Remove special chars except spaces and hyphens
+    .trim()
+    .replace(/\s+/g, '-')     // Replace spaces with hyphens
+    .replace(/-+/g, '-');     // Collapse multiple hyphens
+}
+
+/**
+ * Write the piece details as document metadata of a generated part
+ * Title → Title, composer → Author, arranger → Subject
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {Object} info - {title, composer, arranger}, any may be empty
+ */
+export function setPieceMetadata(pdf, info) {
+  if (!info) return;
+  if (info.title) pdf.setTitle(info.title);
+  if (info.composer) pdf.setAuthor(info.composer);
+  if (info.arranger) pdf.setSubject(`Arranged by ${info.arranger}`);
+}
+
+/**
+ * Write the part's instruments and key as document keywords ("1st Trombone", "Bb treble clef"),
+ * so a treble and a bass clef version of a part can be told apart after splitting
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {Object} split - Split with instrument, optional instruments (combined part) and key
+ */
+export function setPartMetadata(pdf, split) {
+  const instruments = split.instruments && split.instruments.length > 0 ? split.instruments : [split.instrument];
+  pdf.setKeywords([...instruments, split.key].filter(Boolean));
+}
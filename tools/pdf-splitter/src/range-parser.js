@@ -0,0 +1,139 @@
+/**
+ * Manual split definitions, for PDFs where detection can't work
+ * (e.g. photocopies with no part names)
+ *
+ * Syntax, entries separated by ";" or new lines:
+ *   1-2 Soprano Cornet; 3-5 Solo Cornet; 6 Repiano
+ *   1-2, 7 Solo Cornet              (several ranges for one part)
+ *   every 2 pages: Soprano Cornet, Solo Cornet, Repiano
+ *   3-4 Eb/BBb Bass                 (a combined part, one file per player)
+ */
+
+import { DEFAULT_CATALOG_ID, getCatalog } from './instruments.js';
+import { resolveInstrumentNames } from './instrument-detector.js';
+import { parseTransposition } from './instrument-translations.js';
+
+// Leading page list of an entry: "1-2", "6", "1-2, 7"
+const PAGE_LIST_PATTERN = /^(\d+(?:\s*[-–]\s*\d+)?(?:\s*,\s*\d+(?:\s*[-–]\s*\d+)?)*)(?![\w])\s*[:.)]?\s*(.*)$/;
+
+// "every 2 pages: A, B, C" (the names are optional)
+const EVERY_PATTERN = /^every\s+(\d+)(?:\s+pages?)?\s*:?\s*(.*)$/i;
+
+/**
+ * The instrument name being typed at the end of a definition (for autocomplete)
+ * @param {string} textBeforeCaret - Definition text up to the caret
+ * @returns {string|null} The partial name, or null while typing page numbers
+ */
+export function getNameFragment(textBeforeCaret) {
+  const entry = textBeforeCaret.split(/[;\n]/).pop().replace(/^\s+/, '');
+
+  const every = entry.match(EVERY_PATTERN);
+  if (every) {
+    // Names are a comma-separated list after "every N pages:"
+    return entry.includes(':') ? every[2].split(',').pop().trimStart() : null;
+  }
+
+  const match = entry.match(PAGE_LIST_PATTERN);
+  return match && match[2].length > 0 ? match[2] : null;
+}
+
+/**
+ * Parse a split definition into splits
+ * @param {string} text - The definition typed by the user
+ * @param {number} numPages - Page count of the PDF
+ * @param {Object} catalog - Instrument catalog, typed names are matched to its canonical names
+ * @returns {Array} Splits: [{instrument, confidence, sourceText, detectionMethod, startPage, endPage, pages}]
+ * @throws {Error} With a message pointing at the faulty entry
+ */
+export function parseSplitDefinition(text, numPages, catalog = getCatalog(DEFAULT_CATALOG_ID)) {
+  const entries = text
+    .split(/[;\n]/)
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0);
+
+  if (entries.length === 0) {
+    throw new Error('The split definition is empty');
+  }
+
+  const everyMatch = entries.length === 1 ? null : entries.find(entry => EVERY_PATTERN.test(entry));
+  if (everyMatch) {
+    throw new Error(`"${everyMatch}" must be the only entry`);
+  }
+
+  const every = entries[0].match(EVERY_PATTERN);
+  if (every) {
+    return splitEvery(parseInt(every[1]), every[2], numPages, catalog);
+  }
+
+  return entries.map(entry => {
+    const match = entry.match(PAGE_LIST_PATTERN);
+    if (!match) {
+      throw new Error(`"${entry}" doesn't start with a page number or range`);
+    }
+
+    const pages = parsePageList(match[1], numPages, entry);
+    return createManualSplit(match[2], pages, catalog);
+  });
+}
+
+/**
+ * Expand a page list ("1-2, 7") into page numbers
+ */
+function parsePageList(list, numPages, entry) {
+  const pages = [];
+  for (const part of list.split(',')) {
+    const [start, end = start] = part.split(/[-–]/).map(n => parseInt(n.trim()));
+    if (start < 1 || end > numPages) {
+      throw new Error(`"${entry}": pages must be between 1 and ${numPages}`);
+    }
+    if (end < start) {
+      throw new Error(`"${entry}": range ${start}-${end} is backwards`);
+    }
+    for (let page = start; page <= end; page++) {
+      pages.push(page);
+    }
+  }
+  return pages;
+}
+
+/**
+ * Split the whole PDF into parts of `size` pages, named in order from a comma-separated list
+ */
+function splitEvery(size, names, numPages, catalog) {
+  if (size < 1) {
+    throw new Error('"every" needs at least 1 page per part');
+  }
+
+  const nameList = names.split(',').map(name => name.trim()).filter(name => name.length > 0);
+  const splits = [];
+  for (let start = 1; start <= numPages; start += size) {
+    const end = Math.min(start + size - 1, numPages);
+    const pages = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+    splits.push(createManualSplit(nameList[splits.length] || '', pages, catalog));
+  }
+  return splits;
+}
+
+/**
+ * Build a split from a typed name (canonical catalog name when it is one) and its pages
+ */
+function createManualSplit(name, pages, catalog) {
+  const typedName = name.trim();
+  const names = typedName ? resolveInstrumentNames(typedName, catalog) : ['Unknown'];
+  const split = {
+    instrument: names[0],
+    confidence: 1,
+    sourceText: typedName,
+    detectionMethod: 'manual',
+    startPage: pages[0],
+    endPage: pages[pages.length - 1],
+    pages
+  };
+  if (names.length > 1) {
+    split.instruments = names;
+  } else if (parseTransposition(typedName)) {
+    // "3-5 Trombone in Bb" keeps its key apart, as a detected name would
+    split.key = parseTransposition(typedName);
+  }
+  return split;
+}
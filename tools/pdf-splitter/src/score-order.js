@@ -0,0 +1,114 @@
+/**
+ * Score order: the canonical order of the parts of an ensemble, shared by all tools
+ * The order is that of the catalog's instrument list (brass band: Soprano Cornet,
+ * Solo Cornet, Repiano, ... Percussion), so "2nd Cornet" no longer sorts before
+ * "Soprano Cornet" as it does alphabetically
+ */
+
+import { normalizeInstrumentName } from './instruments.js';
+import { translateInstrumentText } from './instrument-translations.js';
+
+// Names to look for in part names and filenames, per catalog id, longest first
+const rankedNames = {};
+
+/**
+ * Catalog names and aliases with the position of their instrument in the score
+ * "1st Trombone" is also looked for as "Trombone 1"
+ */
+function getRankedNames(catalog) {
+  if (!rankedNames[catalog.id]) {
+    const entries = [];
+    const add = (name, instrument) => {
+      const rank = catalog.instruments.indexOf(instrument);
+      const normalized = normalizeInstrumentName(name);
+      entries.push({ name: normalized, instrument, rank });
+      const ordinal = normalized.match(/^(\d+)(?:st|nd|rd|th) (.+)$/);
+      if (ordinal) {
+        entries.push({ name: `${ordinal[2]} ${ordinal[1]}`, instrument, rank });
+      }
+    };
+    catalog.instruments.forEach(name => add(name, name));
+    Object.entries(catalog.aliases).forEach(([alias, name]) => add(alias, name));
+    rankedNames[catalog.id] = entries.sort((a, b) => b.name.length - a.name.length);
+  }
+  return rankedNames[catalog.id];
+}
+
+/**
+ * The catalog entry a part name or filename refers to
+ * Works on part names ("2nd Cornet") and on filenames ("Better-2nd-Cornet.pdf",
+ * "01-Better-Posaune-1.pdf"): the longest catalog name found in the text counts
+ * @returns {{name, instrument, rank}|null}
+ */
+function findEntry(name, catalog) {
+  const text = name
+    .replace(/\.pdf$/i, '')
+    .replace(/^\d+[\s._-]+/, '') // Number prefix of a numbered file ("01-")
+    .replace(/[_-]+/g, ' ');
+  // Localized names are translated from every word on, so the title in front of
+  // the part name doesn't get in the way ("Better Es Bass" → "Eb Bass")
+  const words = text.split(/\s+/).filter(Boolean);
+  const candidates = [text, ...words.flatMap((word, i) => translateInstrumentText(words.slice(i).join(' ')))]
+    .map(candidate => ` ${normalizeInstrumentName(candidate)} `);
+
+  return getRankedNames(catalog).find(entry =>
+    candidates.some(candidate => candidate.includes(` ${entry.name} `))
+  ) || null;
+}
+
+/**
+ * Position of a part in the score
+ * @param {string} name - Part name or filename
+ * @param {Object} catalog - Instrument catalog
+ * @returns {number} 0-based position, Infinity when no instrument of the catalog is found
+ */
+export function getScoreRank(name, catalog) {
+  const entry = findEntry(name, catalog);
+  return entry ? entry.rank : Infinity;
+}
+
+/**
+ * The catalog instrument named in a part name or filename ("Better-Posaune-1.pdf" → "1st Trombone")
+ * @returns {string|null} Canonical instrument name, null when none is found
+ */
+export function findPartInstrument(name, catalog) {
+  const entry = findEntry(name, catalog);
+  return entry ? entry.instrument : null;
+}
+
+/**
+ * Compare two part names (or filenames) in score order, alphabetically within the same position
+ */
+export function compareScoreOrder(a, b, catalog) {
+  const rankA = getScoreRank(a, catalog);
+  const rankB = getScoreRank(b, catalog);
+  return rankA === rankB ? a.localeCompare(b) : rankA - rankB;
+}
+
+/**
+ * Sort items in score order (a new array, the input is left as is)
+ * @param {Array} items - Items to sort
+ * @param {Function} getName - Gives the part name or filename of an item
+ * @param {Object} catalog - Instrument catalog
+ */
+export function sortByScoreOrder(items, getName, catalog) {
+  return items
+    .map((item, index) => ({ item, index, name: getName(item) }))
+    .sort((a, b) => compareScoreOrder(a.name, b.name, catalog) || a.index - b.index)
+    .map(entry => entry.item);
+}
+
+/**
+ * Number prefixes for output files, so file managers list them in score order
+ * @param {Array<string>} names - Part names, in any order
+ * @returns {Array<string>} "01", "02", ... for each name (by position in the input)
+ */
+export function getScoreNumbers(names, catalog) {
+  const width = Math.max(2, String(names.length).length);
+  const numbers = [];
+  sortByScoreOrder(names.map((name, index) => ({ name, index })), entry => entry.name, catalog)
+    .forEach((entry, position) => {
+      numbers[entry.index] = String(position + 1).padStart(width, '0');
+    });
+  return numbers;
+}
@@ -0,0 +1,141 @@
+/**
+ * Split plan export/import
+ * A plan records the corrected split list for one source PDF, so the same parts
+ * can be reproduced later without running detection again
+ */
+
+import { getOutputPages } from './pdf-splitter.js';
+
+export const SPLIT_PLAN_VERSION = 1;
+
+/**
+ * SHA-256 of a file, as a hex string
+ */
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Build a split plan for a source file
+ * @param {File} file - Source PDF
+ * @param {Array} splits - Current splits (instrument names and page arrays)
+ * @param {string} baseFilename - Base filename for the split files
+ * @returns {Promise<Object>} Plan, ready for JSON.stringify
+ */
+export async function createSplitPlan(file, splits, baseFilename) {
+  return {
+    type: 'partkit-split-plan',
+    version: SPLIT_PLAN_VERSION,
+    source: {
+      name: file.name,
+      size: file.size,
+      sha256: await hashFile(file)
+    },
+    baseFilename,
+    // The pages that were output, so dropped blank pages stay dropped
+    // Pages cut in two parts keep their section ({x, y, width, height} fractions),
+    // combined parts list every instrument they are saved for, parts in a key keep it
+    splits: splits.map(split => {
+      const pages = [...getOutputPages(split)];
+      const sections = Object.fromEntries(
+        Object.entries(split.sections || {}).filter(([page]) => pages.includes(Number(page)))
+      );
+      const planSplit = { instrument: split.instrument, pages };
+      if (split.instruments && split.instruments.length > 1) {
+        planSplit.instruments = [...split.instruments];
+      }
+      if (split.key) {
+        planSplit.key = split.key;
+      }
+      if (Object.keys(sections).length > 0) {
+        planSplit.sections = sections;
+      }
+      return planSplit;
+    })
+  };
+}
+
+/**
+ * Check the sections of a plan split: page → {x, y, width, height}, fractions of the page
+ */
+function isValidSections(sections) {
+  return typeof sections === 'object' && sections !== null && Object.values(sections).every(section =>
+    section !== null &&
+    ['x', 'y', 'width', 'height'].every(key => typeof section[key] === 'number' && section[key] >= 0 && section[key] <= 1)
+  );
+}
+
+/**
+ * Parse and validate a split plan
+ * @param {string} json - Plan file contents
+ * @returns {Object} The plan
+ * @throws {Error} If the file is not a valid split plan
+ */
+export function parseSplitPlan(json) {
+  let plan;
+  try {
+    plan = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Not a valid JSON file');
+  }
+
+  if (!plan || plan.type !== 'partkit-split-plan') {
+    throw new Error('Not a split plan');
+  }
+  if (plan.version > SPLIT_PLAN_VERSION) {
+    throw new Error(`Unsupported split plan version ${plan.version}`);
+  }
+  if (!plan.source || typeof plan.source.sha256 !== 'string') {
+    throw new Error('Split plan has no source file hash');
+  }
+
+  const validSplits = Array.isArray(plan.splits) && plan.splits.length > 0 && plan.splits.every(split =>
+    typeof split.instrument === 'string' &&
+    Array.isArray(split.pages) &&
+    split.pages.length > 0 &&
+    split.pages.every(page => Number.isInteger(page) && page >= 1) &&
+    (split.instruments === undefined || (Array.isArray(split.instruments) && split.instruments.every(name => typeof name === 'string'))) &&
+    (split.key === undefined || typeof split.key === 'string') &&
+    (split.sections === undefined || isValidSections(split.sections))
+  );
+  if (!validSplits) {
+    throw new Error('Split plan has no valid splits');
+  }
+
+  return plan;
+}
+
+/**
+ * Turn a plan's splits into the splitter's split objects
+ * @param {Object} plan - Parsed split plan
+ * @param {number} numPages - Page count of the PDF it is applied to
+ * @returns {Array} Splits: [{instrument, confidence, sourceText, detectionMethod, startPage, endPage, pages, sections}],
+ *   plus instruments for combined parts and key for parts in a key
+ */
+export function getPlanSplits(plan, numPages) {
+  return plan.splits.map(split => {
+    if (split.pages.some(page => page > numPages)) {
+      throw new Error(`Split plan refers to page ${Math.max(...split.pages)}, but the PDF has ${numPages} pages`);
+    }
+    const planSplit = {
+      instrument: split.instrument,
+      confidence: 1,
+      sourceText: '',
+      detectionMethod: 'plan',
+      startPage: split.pages[0],
+      endPage: split.pages[split.pages.length - 1],
+      pages: [...split.pages],
+      sections: { ...(split.sections || {}) }
+    };
+    if (split.instruments && split.instruments.length > 1) {
+      planSplit.instruments = [...split.instruments];
+    }
+    if (split.key) {
+      planSplit.key = split.key;
+    }
+    return planSplit;
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * Splitter Web Worker
+ * Runs text extraction, detection and split generation off the main thread,
+ * so the page stays responsive on large scores
+ *
+ * Messages in:
+ *   {type: 'analyze', id, file, options, splits} - options for analyzePDF, plus filenameLanguage,
+ *                                        baseFilename, filenameTemplate, pieceInfo and numberFiles;
+ *                                        splits (optional) skips detection
+ *   {type: 'abort', id}                  - stop the job (answered with 'aborted') and its OCR workers
+ *   {type: 'release'}                    - stop the OCR workers (the page is closing)
+ * Messages out:
+ *   {type: 'progress', id, progress}     - analyzePDF progress, or {generating: true}
+ *   {type: 'partial', id, splits}        - splits found so far (while OCR is running)
+ *   {type: 'result', id, splits, files, diagnostics} - files: [{filename, blob, splitIndex}], in split order;
+ *                                        diagnostics: Map of what detection saw per page (empty for known splits)
+ *   {type: 'aborted', id}
+ *   {type: 'error', id, message}
+ */
+
+import { loadPDF } from './pdf-processor.js';
+import { analyzePDF, generateSplitPDFs } from './pdf-splitter.js';
+import { terminateOCRPool } from './ocr-pool.js';
+
+// OCR workers are kept this long after a job, for the next piece or a re-run (ms)
+const OCR_IDLE_TIMEOUT = 60000;
+
+// Running jobs: id → AbortController
+const controllers = {};
+
+// Timer that stops the idle OCR workers
+let idleTimer = null;
+
+self.onmessage = (event) => {
+  const { type, id } = event.data;
+
+  if (type === 'analyze') {
+    clearTimeout(idleTimer);
+    analyze(event.data);
+  } else if (type === 'abort' && controllers[id]) {
+    controllers[id].abort();
+    // Pages queued for OCR are dropped with the workers
+    terminateOCRPool();
+  } else if (type === 'release') {
+    terminateOCRPool();
+  }
+};
+
+/**
+ * Analyze a PDF and generate its split files, reporting back to the page
+ */
+async function analyze({ id, file, options, splits: plannedSplits = null }) {
+  const controller = new AbortController();
+  controllers[id] = controller;
+  let pdfDoc = null;
+  const diagnostics = new Map();
+
+  try {
+    let splits = plannedSplits;
+
+    // Splits from an imported plan are used as they are
+    if (!splits) {
+      pdfDoc = await loadPDF(file);
+      splits = await analyzePDF(
+        pdfDoc,
+        progress => self.postMessage({ type: 'progress', id, progress }),
+        {
+          ...options,
+          signal: controller.signal,
+          diagnostics,
+          onPartialResult: partialSplits => self.postMessage({ type: 'partial', id, splits: partialSplits })
+        }
+      );
+    }
+
+    self.postMessage({ type: 'progress', id, progress: { generating: true } });
+
+    const results = await generateSplitPDFs(file, splits, {
+      filenameLanguage: options.filenameLanguage,
+      baseFilename: options.baseFilename,
+      pieceInfo: options.pieceInfo,
+      filenameTemplate: options.filenameTemplate,
+      numberFiles: options.numberFiles,
+      catalogId: options.catalogId,
+      signal: controller.signal
+    });
+
+    // The splits are sent once, files refer to them by position (a combined part has several files)
+    self.postMessage({
+      type: 'result',
+      id,
+      splits,
+      files: results.map(({ filename, blob, split }) => ({ filename, blob, splitIndex: splits.indexOf(split) })),
+      diagnostics
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      self.postMessage({ type: 'aborted', id });
+    } else {
+      console.error('Error in splitter worker:', error);
+      self.postMessage({ type: 'error', id, message: error.message });
+    }
+  } finally {
+    delete controllers[id];
+    if (pdfDoc) {
+      pdfDoc.destroy();
+    }
+    if (Object.keys(controllers).length === 0) {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(terminateOCRPool, OCR_IDLE_TIMEOUT);
+    }
+  }
+}
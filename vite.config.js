@@ -1,11 +1,29 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
+// Tesseract loads its core and language data by directory + fixed filename,
+// so those files keep their original names
+const assetFileNames = (assetInfo) => {
+  if (/tesseract-core|traineddata/.test(assetInfo.name)) {
+    return 'assets/tesseract/[name][extname]';
+  }
+  return 'assets/[name]-[hash][extname]';
+};
+
 export default defineConfig({
   server: {
     port: 3000,
     open: true
   },
+  worker: {
+    // The splitter worker imports pdf.js and Tesseract, which need code-splitting
+    format: 'es',
+    rollupOptions: {
+      output: {
+        assetFileNames
+      }
+    }
+  },
   build: {
     outDir: 'dist',
     sourcemap: true,
@@ -16,6 +34,9 @@ export default defineConfig({
         combiner: resolve(__dirname, 'tools/pdf-combiner/index.html'),
         merger: resolve(__dirname, 'tools/pdf-merger/index.html'),
         assembler: resolve(__dirname, 'tools/pdf-assembler/index.html'),
+      },
+      output: {
+        assetFileNames
       }
     }
   }